@@ -1,6 +1,7 @@
 const fs = require('node:fs');
 const path = require('node:path');
 const http = require('node:http');
+const { pathToFileURL, fileURLToPath } = require('node:url');
 const { spawn } = require('node:child_process');
 const {
   app,
@@ -12,6 +13,11 @@ const {
   ipcMain,
   Menu,
   dialog,
+  screen,
+  clipboard,
+  net,
+  nativeImage,
+  powerMonitor,
   webContents: electronWebContents
 } = require('electron');
 let autoUpdater = null;
@@ -25,6 +31,41 @@ try {
 const FIGMA_HOME = 'https://www.figma.com';
 const FIGMA_RECENTS = 'https://www.figma.com/files/recent';
 const PERSISTENT_PARTITION = 'persist:figmux';
+const PROFILE_PARTITION_PREFIX = 'persist:figmux-';
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILES_FILE = 'profiles.json';
+const SETTINGS_FILE = 'settings.json';
+const CLOSED_TABS_FILE = 'closed-tabs.json';
+const WORKSPACES_FILE = 'workspaces.json';
+const WORKSPACE_EXPORT_FORMAT = 'figmux-workspace';
+const WORKSPACE_EXPORT_VERSION = 1;
+const DEFAULT_SETTINGS = {
+  tabHibernationMinutes: 30,
+  reloadTabsAfterResume: true,
+  showNavigationControls: false,
+  // An empty folder means the system Downloads folder.
+  downloadDirectory: '',
+  askWhereToSaveDownloads: false,
+  // The last choices in the Export page as PDF panel.
+  pdfPageSize: 'A4',
+  pdfLandscape: true,
+  pdfMargins: 'default',
+  pdfPrintBackground: true
+};
+const TAB_HIBERNATION_OPTIONS_MINUTES = [0, 15, 30, 60, 120];
+const TAB_HIBERNATION_SWEEP_INTERVAL_MS = 60 * 1000;
+const PROFILE_COLORS = ['#0d99ff', '#14ae5c', '#ffcd29', '#f24822', '#9747ff', '#ff24bd'];
+const TAB_GROUP_COLORS = [
+  { id: 'grey', label: 'Grey', value: '#9aa0a6' },
+  { id: 'blue', label: 'Blue', value: '#8ab4f8' },
+  { id: 'red', label: 'Red', value: '#f28b82' },
+  { id: 'yellow', label: 'Yellow', value: '#fdd663' },
+  { id: 'green', label: 'Green', value: '#81c995' },
+  { id: 'pink', label: 'Pink', value: '#ff8bcb' },
+  { id: 'purple', label: 'Purple', value: '#c58af9' },
+  { id: 'cyan', label: 'Cyan', value: '#78d9ec' },
+  { id: 'orange', label: 'Orange', value: '#fcad70' }
+];
 const GOOGLE_OAUTH_HOSTS = new Set([
   'accounts.google.com',
   'oauth2.googleapis.com',
@@ -33,9 +74,26 @@ const GOOGLE_OAUTH_HOSTS = new Set([
 const GOOGLE_AUTH_RELAY_SUFFIX = '.googleusercontent.com';
 const FIGMA_AUTH_PATH_PREFIXES = ['/login', '/signup', '/oauth'];
 const ABOUT_BLANK = 'about:blank';
+const FIGMA_PROTOCOL_SCHEME = 'figma';
 const TITLEBAR_HEIGHT = 36;
+const FIND_BAR_HEIGHT = 36;
+const IMPORT_BAR_HEIGHT = 36;
 const WINDOW_CONTROLS_INSET = 112;
+const WINDOW_DEFAULT_WIDTH = 1360;
+const WINDOW_DEFAULT_HEIGHT = 860;
+const WINDOW_MIN_WIDTH = 480;
+const WINDOW_MIN_HEIGHT = 640;
+const TORN_OFF_WINDOW_POINTER_OFFSET_X = 80;
+// Without a drop point a new window opens this far down and right of its source window.
+const TORN_OFF_WINDOW_CASCADE_OFFSET = 32;
+const SPLIT_DIVIDER_SIZE = 6;
+const SPLIT_MIN_RATIO = 0.15;
+const SPLIT_MAX_RATIO = 0.85;
 const TAB_STATE_FILE = 'tabs-state.json';
+// Version 0 held a single window at the top level, version 1 added `windows` without a version field.
+const TAB_STATE_VERSION = 2;
+const TAB_STATE_BACKUP_COUNT = 3;
+const TAB_STATE_BACKUP_INTERVAL_MS = 10 * 60 * 1000;
 const APP_ICON_PNG_FILENAME = 'com.figmux.app.png';
 const APP_ICON_SVG_FILENAME = 'com.figmux.app.svg';
 const FLATPAK_FIGMA_AGENT_BINARY_PATH = '/app/bin/figma-agent';
@@ -48,6 +106,131 @@ const FLATPAK_ICON_DIR = '/app/share/icons/hicolor/scalable/apps';
 const AUTH_POPUP_BASE_TITLE = 'Figmux Login';
 const AUTH_POPUP_SPINNER_FRAMES = ['Loading', 'Loading.', 'Loading..', 'Loading...'];
 const CLOSED_TABS_LIMIT = 20;
+const FAVICON_MAX_BYTES = 64 * 1024;
+const DOWNLOADS_FILE = 'downloads.json';
+const DOWNLOAD_HISTORY_LIMIT = 50;
+const DOWNLOAD_PROGRESS_EMIT_INTERVAL_MS = 250;
+const IMPORTABLE_FILE_EXTENSIONS = ['.fig', '.jam'];
+const IMAGE_FILE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg'];
+const IMAGE_DROP_DOCUMENT_TYPES = ['design', 'board', 'slides'];
+const PDF_PAGE_SIZES = ['A4', 'A3', 'A5', 'Letter', 'Legal', 'Tabloid'];
+/** Page margins offered for PDF export, in inches. */
+const PDF_MARGIN_OPTIONS = [
+  { id: 'default', label: 'Default', inches: 0.4 },
+  { id: 'narrow', label: 'Narrow', inches: 0.2 },
+  { id: 'none', label: 'None', inches: 0 }
+];
+const OFFLINE_PAGE_PATH = path.join(__dirname, 'ui', 'offline.html');
+const OFFLINE_PAGE_URL = pathToFileURL(OFFLINE_PAGE_PATH).href;
+const NETWORK_STATE_POLL_INTERVAL_MS = 5000;
+// Gives the network time to come back after a wake-up before Figma is probed.
+const RESUME_PROBE_DELAY_MS = 5000;
+const RESUME_PROBE_TIMEOUT_MS = 8000;
+// While Figma stays unreachable after a wake-up, the probe is repeated for about five minutes.
+const RESUME_PROBE_RETRY_INTERVAL_MS = 30 * 1000;
+const RESUME_PROBE_RETRY_LIMIT = 10;
+// net::ERR_ABORTED: the navigation was cancelled or replaced, not a network failure.
+const NET_ERROR_ABORTED = -3;
+const CRASH_AUTO_RELOAD_LIMIT = 2;
+const CRASH_AUTO_RELOAD_WINDOW_MS = 5 * 60 * 1000;
+// Commands sharing an id with a keybinding show its shortcut in the palette.
+const COMMAND_PALETTE_COMMANDS = [
+  { id: 'new-tab', title: 'New tab' },
+  { id: 'open-link', title: 'Open Figma link…' },
+  { id: 'reload-tab', title: 'Reload tab' },
+  { id: 'reopen-closed-tab', title: 'Reopen closed tab' },
+  { id: 'toggle-full-screen', title: 'Toggle full screen' },
+  { id: 'show-downloads', title: 'Downloads' },
+  { id: 'copy-tab-screenshot', title: 'Copy tab screenshot' },
+  { id: 'save-tab-screenshot', title: 'Save tab screenshot…' },
+  { id: 'capture-tab-area', title: 'Capture tab area…' },
+  { id: 'print-tab', title: 'Print…' },
+  { id: 'export-pdf', title: 'Export page as PDF…' },
+  { id: 'keyboard-shortcuts', title: 'Keyboard shortcuts' },
+  { id: 'edit-keybindings', title: 'Edit keyboard shortcuts…' },
+  { id: 'check-for-updates', title: 'Check for updates' }
+];
+const KEYBINDINGS_FILE = 'keybindings.json';
+// Editors often write a file in several steps; reload once they are done.
+const KEYBINDINGS_RELOAD_DEBOUNCE_MS = 200;
+/**
+ * Default shortcuts per action; `keybindings.json` can remap or unbind any of them. `Ctrl`
+ * also matches the Meta key. Actions with `passThroughOnCanvas` leave the keystroke to Figma
+ * while a file's canvas has focus.
+ */
+const DEFAULT_KEYBINDINGS = [
+  { id: 'new-tab', title: 'New tab', keys: ['Ctrl+T'] },
+  { id: 'reopen-closed-tab', title: 'Reopen closed tab', keys: ['Ctrl+Shift+T'] },
+  { id: 'close-tab', title: 'Close tab', keys: ['Ctrl+W'] },
+  { id: 'open-link', title: 'Open Figma link', keys: ['Ctrl+L'] },
+  { id: 'find-in-page', title: 'Find in page', keys: ['Ctrl+F'], passThroughOnCanvas: true },
+  { id: 'reload-tab', title: 'Reload tab', keys: ['F5'] },
+  { id: 'next-tab', title: 'Next tab', keys: ['Ctrl+Tab', 'Ctrl+PageDown'] },
+  { id: 'previous-tab', title: 'Previous tab', keys: ['Ctrl+Shift+Tab', 'Ctrl+PageUp'] },
+  { id: 'move-tab-right', title: 'Move tab right', keys: ['Ctrl+Shift+PageDown'] },
+  { id: 'move-tab-left', title: 'Move tab left', keys: ['Ctrl+Shift+PageUp'] },
+  ...Array.from({ length: 8 }, (_, index) => ({
+    id: `select-tab-${index + 1}`,
+    title: `Go to tab ${index + 1}`,
+    keys: [`Ctrl+${index + 1}`]
+  })),
+  { id: 'select-last-tab', title: 'Go to last tab', keys: ['Ctrl+9'] },
+  { id: 'go-back', title: 'Back', keys: ['Alt+Left'] },
+  { id: 'go-forward', title: 'Forward', keys: ['Alt+Right'] },
+  { id: 'tab-context-menu', title: 'Tab context menu', keys: ['Shift+F10', 'ContextMenu'] },
+  { id: 'command-palette', title: 'Command palette', keys: ['Ctrl+K'] },
+  { id: 'show-downloads', title: 'Downloads', keys: ['Ctrl+J'] },
+  { id: 'copy-tab-screenshot', title: 'Copy tab screenshot', keys: ['Ctrl+Alt+Shift+C'] },
+  { id: 'save-tab-screenshot', title: 'Save tab screenshot', keys: ['Ctrl+Alt+Shift+S'] },
+  { id: 'capture-tab-area', title: 'Capture tab area', keys: ['Ctrl+Alt+Shift+A'] },
+  { id: 'print-tab', title: 'Print', keys: ['Ctrl+P'], passThroughOnCanvas: true },
+  { id: 'export-pdf', title: 'Export page as PDF', keys: [] },
+  { id: 'keyboard-shortcuts', title: 'Keyboard shortcuts', keys: ['F1'] },
+  { id: 'toggle-full-screen', title: 'Toggle full screen', keys: ['F11'] },
+  { id: 'quit', title: 'Quit Figmux', keys: ['Ctrl+Q'] }
+];
+const KEYBINDING_MODIFIER_ALIASES = {
+  ctrl: 'Ctrl',
+  control: 'Ctrl',
+  cmd: 'Ctrl',
+  command: 'Ctrl',
+  cmdorctrl: 'Ctrl',
+  commandorcontrol: 'Ctrl',
+  meta: 'Ctrl',
+  super: 'Ctrl',
+  alt: 'Alt',
+  option: 'Alt',
+  shift: 'Shift'
+};
+const KEYBINDING_KEY_ALIASES = {
+  left: 'Left',
+  arrowleft: 'Left',
+  right: 'Right',
+  arrowright: 'Right',
+  up: 'Up',
+  arrowup: 'Up',
+  down: 'Down',
+  arrowdown: 'Down',
+  pageup: 'PageUp',
+  pgup: 'PageUp',
+  pagedown: 'PageDown',
+  pgdn: 'PageDown',
+  home: 'Home',
+  end: 'End',
+  tab: 'Tab',
+  enter: 'Enter',
+  return: 'Enter',
+  escape: 'Escape',
+  esc: 'Escape',
+  space: 'Space',
+  ' ': 'Space',
+  backspace: 'Backspace',
+  delete: 'Delete',
+  insert: 'Insert',
+  contextmenu: 'ContextMenu',
+  menu: 'ContextMenu',
+  plus: '+'
+};
 const WINDOWS_CHROMIUM_USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/142.0.0.0 Safari/537.36';
 const FIGMA_AGENT_ALLOWED_PERMISSIONS = new Set([
@@ -64,24 +247,60 @@ const FIGMA_ALLOWED_WEB_PERMISSIONS = new Set([
 const GITHUB_RELEASES_LATEST_URL = 'https://api.github.com/repos/samirkushwaha/figmux/releases/latest';
 const FIGMA_AGENT_ORIGIN = 'http://127.0.0.1:44950';
 
-let mainWindow;
-let activeTabId = null;
+let lastFocusedWindowId = null;
 let tabIdCounter = 0;
-let tabStateWriteTimer;
-let shellReady = false;
+let groupIdCounter = 0;
+let tabStateWriteTimer = null;
+let lastTabStateBackupAt = 0;
+let closedTabsWriteTimer;
+let closedTabIdCounter = 0;
+let downloadIdCounter = 0;
+let downloadsEmitTimer = null;
+let hasDownloadProgressBar = false;
+let isQuitting = false;
 let bundledFigmaAgentProcess = null;
 let defaultFigmaUserAgent = null;
 let updaterPromptState = 'idle';
 let updateDownloadedVersion = null;
 let updateDownloadToastShown = false;
 let updateDownloadNotificationBucket = -1;
-
-/** @type {Map<string, {id: string, view: import('electron').WebContentsView, title: string, url: string, isLoading: boolean, canGoBack: boolean, canGoForward: boolean}>} */
-const tabs = new Map();
+let isManualUpdateCheck = false;
+let isNetworkOnline = true;
+let keybindings = [];
+let keybindingsByAccelerator = new Map();
+let keybindingsReloadTimer = null;
+let isResumeRefreshPending = false;
+let isRefreshingResumedTabs = false;
+let resumeProbeRetryTimer = null;
 /** @type {string[]} */
-const tabOrder = [];
-/** @type {Array<{url: string, title: string, index: number}>} */
+let pendingLaunchUrls = [];
+/** @type {string[]} */
+let pendingLaunchFiles = [];
+let shellPromptCounter = 0;
+/** @type {Array<{id: string, name: string, color: string}>} */
+let profiles = [];
+/** @type {Array<{id: string, name: string, groups: Array<{id: string, name: string, color: string, isCollapsed: boolean}>, tabs: Array<{url: string, title: string, profileId: string, isPinned: boolean, groupId: string | null}>, activeIndex: number}>} */
+let workspaces = [];
+let settings = { ...DEFAULT_SETTINGS };
+
+/** @type {Map<number, {id: number, browserWindow: import('electron').BrowserWindow, tabOrder: string[], groups: Map<string, {id: string, name: string, color: string, isCollapsed: boolean}>, activeTabId: string | null, split: {tabIds: [string, string], isStacked: boolean, ratio: number} | null, workspaceId: string | null, shellReady: boolean, isOverlayOpen: boolean, findBar: {tabId: string} | null, importFiles: string[], screenshot: {tabId: string, image: import('electron').NativeImage, bounds: Electron.Rectangle} | null, pdfExportTabId: string | null}>} */
+const shellWindows = new Map();
+/** @type {Map<string, {id: string, windowId: number, profileId: string, groupId: string | null, view: import('electron').WebContentsView | null, title: string, url: string, isPinned: boolean, isLoading: boolean, canGoBack: boolean, canGoForward: boolean, lastActiveAt: number, favicon: string | null, crashState: 'crashed' | 'unresponsive' | null, crashReason: string | null, crashReloadTimes: number[], loadError: {url: string, errorCode: number, errorDescription: string} | null}>} */
+const tabs = new Map();
+/** @type {Array<{id: string, url: string, title: string, index: number, profileId: string, closedAt: number}>} */
 const closedTabs = [];
+/** @type {Set<string>} */
+const configuredPartitions = new Set();
+/** @type {Map<string, (value: string | null, isAlternate: boolean) => void>} */
+const pendingShellPrompts = new Map();
+/** @type {Set<string>} */
+const discardingTabIds = new Set();
+/** @type {Map<string, string>} */
+const faviconDataUrls = new Map();
+/** @type {Array<{id: string, filename: string, url: string, partition: string, savePath: string, state: 'progressing' | 'completed' | 'cancelled' | 'interrupted', isPaused: boolean, receivedBytes: number, totalBytes: number, startedAt: number}>} */
+const downloads = [];
+/** @type {Map<string, import('electron').DownloadItem>} */
+const downloadItems = new Map();
 
 function resolveAppIconPath() {
   const candidatePaths = [
@@ -212,6 +431,60 @@ function canRestoreUrl(input) {
   return Boolean(parseHttpsUrl(input)) && (isFigmaUrl(input) || isOAuthUrl(input));
 }
 
+function figmaProtocolUrlToHttps(input) {
+  let parsed;
+  try {
+    parsed = new URL(input);
+  } catch {
+    return null;
+  }
+
+  if (parsed.protocol !== `${FIGMA_PROTOCOL_SCHEME}:`) {
+    return null;
+  }
+
+  // figma://file/<key>/<name>?node-id=... keeps the route segment in the host position.
+  const pathname = `${parsed.hostname ? `/${parsed.hostname}` : ''}${parsed.pathname}` || '/';
+  const target = new URL(pathname, FIGMA_HOME);
+  target.search = parsed.search;
+  target.hash = parsed.hash;
+  return target.toString();
+}
+
+function normalizeLaunchUrl(input) {
+  if (typeof input !== 'string') {
+    return null;
+  }
+
+  const candidate = figmaProtocolUrlToHttps(input) || input;
+  if (!canRestoreUrl(candidate) || isOAuthUrl(candidate)) {
+    return null;
+  }
+
+  return candidate;
+}
+
+/** Accepts pasted links without a scheme, plain `http://` links and `figma://` links. */
+function normalizeLinkInput(input) {
+  const trimmed = typeof input === 'string' ? input.trim() : '';
+  if (!trimmed) {
+    return null;
+  }
+
+  const withScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)
+    ? trimmed.replace(/^http:\/\//i, 'https://')
+    : `https://${trimmed}`;
+  return normalizeLaunchUrl(withScheme);
+}
+
+function extractLaunchUrls(argv) {
+  if (!Array.isArray(argv)) {
+    return [];
+  }
+
+  return argv.map(normalizeLaunchUrl).filter(Boolean);
+}
+
 function isControlModified(input) {
   return (
     Boolean(input && input.control) ||
@@ -251,13 +524,44 @@ function canCanvasZoom(url) {
   );
 }
 
+/** Classifies a Figma URL for the tab strip icon; null for pages without a dedicated icon. */
+function getFigmaDocumentType(url) {
+  const parsed = parseHttpsUrl(url);
+  if (!parsed || !isFigmaUrl(url) || isOAuthUrl(url)) {
+    return null;
+  }
+
+  const { pathname, searchParams } = parsed;
+  if (pathname.startsWith('/design/') || pathname.startsWith('/file/')) {
+    return searchParams.get('m') === 'dev' ? 'dev' : 'design';
+  }
+
+  if (pathname.startsWith('/board/')) {
+    return 'board';
+  }
+
+  if (pathname.startsWith('/proto/')) {
+    return 'proto';
+  }
+
+  if (pathname.startsWith('/slides/') || pathname.startsWith('/deck/')) {
+    return 'slides';
+  }
+
+  if (pathname.startsWith('/files/')) {
+    return 'files';
+  }
+
+  return null;
+}
+
 function findTabIdByWebContents(sourceWebContents) {
   if (!sourceWebContents) {
     return null;
   }
 
   for (const [tabId, tab] of tabs.entries()) {
-    if (tab.view.webContents === sourceWebContents) {
+    if (tab.view && tab.view.webContents === sourceWebContents) {
       return tabId;
     }
   }
@@ -265,37 +569,399 @@ function findTabIdByWebContents(sourceWebContents) {
   return null;
 }
 
-function handleTabShortcut(event, input, sourceWebContents = null) {
-  const ctrlOrMeta = Boolean(input && (input.control || input.meta));
-  if (!ctrlOrMeta || !input || input.type !== 'keyDown') {
-    return false;
+function isShellWindowAlive(shellWindow) {
+  return Boolean(shellWindow && shellWindow.browserWindow && !shellWindow.browserWindow.isDestroyed());
+}
+
+function getPrimaryShellWindow() {
+  const lastFocused = shellWindows.get(lastFocusedWindowId);
+  if (isShellWindowAlive(lastFocused)) {
+    return lastFocused;
+  }
+
+  for (const shellWindow of shellWindows.values()) {
+    if (isShellWindowAlive(shellWindow)) {
+      return shellWindow;
+    }
+  }
+
+  return null;
+}
+
+function getPrimaryBrowserWindow() {
+  const shellWindow = getPrimaryShellWindow();
+  return shellWindow ? shellWindow.browserWindow : null;
+}
+
+function getShellWindowForTab(tab) {
+  if (!tab) {
+    return null;
+  }
+
+  const shellWindow = shellWindows.get(tab.windowId);
+  return isShellWindowAlive(shellWindow) ? shellWindow : null;
+}
+
+function getShellWindowForWebContents(sourceWebContents) {
+  if (!sourceWebContents) {
+    return null;
+  }
+
+  for (const shellWindow of shellWindows.values()) {
+    if (isShellWindowAlive(shellWindow) && shellWindow.browserWindow.webContents === sourceWebContents) {
+      return shellWindow;
+    }
+  }
+
+  const tabId = findTabIdByWebContents(sourceWebContents);
+  return tabId ? getShellWindowForTab(tabs.get(tabId)) : null;
+}
+
+function findShellWindowAtPoint(point) {
+  for (const shellWindow of shellWindows.values()) {
+    if (!isShellWindowAlive(shellWindow) || shellWindow.browserWindow.isMinimized()) {
+      continue;
+    }
+
+    const bounds = shellWindow.browserWindow.getBounds();
+    if (
+      point.x >= bounds.x &&
+      point.x < bounds.x + bounds.width &&
+      point.y >= bounds.y &&
+      point.y < bounds.y + bounds.height
+    ) {
+      return shellWindow;
+    }
+  }
+
+  return null;
+}
+
+function getKeybindingsPath() {
+  return path.join(app.getPath('userData'), KEYBINDINGS_FILE);
+}
+
+function normalizeKeyName(key) {
+  if (typeof key !== 'string' || !key) {
+    return null;
+  }
+
+  const alias = KEYBINDING_KEY_ALIASES[key.toLowerCase()];
+  if (alias) {
+    return alias;
+  }
+
+  if (/^f([1-9]|1[0-9]|2[0-4])$/i.test(key)) {
+    return key.toUpperCase();
+  }
+
+  return key.length === 1 ? key.toUpperCase() : null;
+}
+
+function formatAccelerator(modifiers, key) {
+  return ['Ctrl', 'Alt', 'Shift']
+    .filter((modifier) => modifiers.has(modifier))
+    .concat(key)
+    .join('+');
+}
+
+/** Turns a user-written accelerator like `cmd+shift+pgdn` into `Ctrl+Shift+PageDown`, or null. */
+function normalizeAccelerator(accelerator) {
+  if (typeof accelerator !== 'string' || !accelerator.trim()) {
+    return null;
+  }
+
+  const parts = accelerator.split('+').map((part) => part.trim());
+  let keyPart = parts.pop();
+  // `+` is a key of its own, so `Ctrl++` splits into two empty trailing parts.
+  if (keyPart === '' && parts.length > 0 && parts[parts.length - 1] === '') {
+    parts.pop();
+    keyPart = '+';
+  }
+
+  const modifiers = new Set();
+  for (const part of parts) {
+    const modifier = KEYBINDING_MODIFIER_ALIASES[part.toLowerCase()];
+    if (!modifier) {
+      return null;
+    }
+    modifiers.add(modifier);
+  }
+
+  const key = normalizeKeyName(keyPart);
+  return key ? formatAccelerator(modifiers, key) : null;
+}
+
+function inputToAccelerator(input) {
+  let key = normalizeKeyName(input.key);
+  // Shifted digits and non-Latin layouts report another character; use the physical key instead.
+  const codeMatch = /^(?:Digit|Key)([0-9A-Z])$/.exec(input.code || '');
+  if (codeMatch && (!key || !/^[0-9A-Z]$/.test(key))) {
+    key = codeMatch[1];
+  }
+
+  if (!key) {
+    return null;
+  }
+
+  const modifiers = new Set();
+  if (input.control || input.meta) {
+    modifiers.add('Ctrl');
+  }
+  if (input.alt) {
+    modifiers.add('Alt');
+  }
+  if (input.shift) {
+    modifiers.add('Shift');
+  }
+
+  return formatAccelerator(modifiers, key);
+}
+
+function parseKeybindingKeys(input, actionId) {
+  const entries = input === null ? [] : Array.isArray(input) ? input : [input];
+  const keys = [];
+  for (const entry of entries) {
+    const accelerator = normalizeAccelerator(entry);
+    if (accelerator) {
+      keys.push(accelerator);
+    } else {
+      console.warn(`[figmux] Ignoring invalid shortcut for ${actionId}:`, entry);
+    }
+  }
+  return keys;
+}
+
+/**
+ * An override is a key or list of keys (`null` or `[]` unbinds the action), or an object with
+ * optional `keys` and `passThroughOnCanvas` fields.
+ */
+function applyKeybindingOverride(action, override) {
+  const binding = {
+    id: action.id,
+    title: action.title,
+    keys: parseKeybindingKeys(action.keys, action.id),
+    passThroughOnCanvas: action.passThroughOnCanvas === true,
+    isCustomized: override !== undefined
+  };
+
+  if (override === undefined) {
+    return binding;
+  }
+
+  if (override === null || typeof override === 'string' || Array.isArray(override)) {
+    binding.keys = parseKeybindingKeys(override, action.id);
+  } else if (typeof override === 'object') {
+    if (Object.prototype.hasOwnProperty.call(override, 'keys')) {
+      binding.keys = parseKeybindingKeys(override.keys, action.id);
+    }
+    if (typeof override.passThroughOnCanvas === 'boolean') {
+      binding.passThroughOnCanvas = override.passThroughOnCanvas;
+    }
+  }
+
+  return binding;
+}
+
+/** Re-reads `keybindings.json`; customized actions win when they reuse a default shortcut. */
+function loadKeybindings() {
+  let overrides = {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getKeybindingsPath(), 'utf8'));
+    if (parsed && parsed.bindings && typeof parsed.bindings === 'object') {
+      overrides = parsed.bindings;
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.warn('[figmux] Ignoring unreadable keybindings.json:', error.message);
+    }
+  }
+
+  keybindings = DEFAULT_KEYBINDINGS.map((action) => applyKeybindingOverride(action, overrides[action.id]));
+  keybindingsByAccelerator = new Map();
+  const byPriority = keybindings.filter((binding) => binding.isCustomized).concat(
+    keybindings.filter((binding) => !binding.isCustomized)
+  );
+  for (const binding of byPriority) {
+    for (const key of binding.keys) {
+      if (!keybindingsByAccelerator.has(key)) {
+        keybindingsByAccelerator.set(key, binding);
+      }
+    }
+  }
+}
+
+/**
+ * Picks up edits to keybindings.json made in another app. The folder is watched rather than
+ * the file, since the file may not exist yet and editors often replace it on save.
+ */
+function watchKeybindingsFile() {
+  try {
+    const watcher = fs.watch(app.getPath('userData'), (_eventType, filename) => {
+      if (filename !== KEYBINDINGS_FILE) {
+        return;
+      }
+
+      clearTimeout(keybindingsReloadTimer);
+      keybindingsReloadTimer = setTimeout(loadKeybindings, KEYBINDINGS_RELOAD_DEBOUNCE_MS);
+    });
+    watcher.on('error', (error) => {
+      console.warn('[figmux] Stopped watching keybindings.json:', error.message);
+    });
+  } catch (error) {
+    console.warn('[figmux] Unable to watch keybindings.json for changes:', error.message);
+  }
+}
+
+function getKeybindingLabel(actionId) {
+  const binding = keybindings.find((entry) => entry.id === actionId);
+  return binding ? binding.keys.join(' / ') : '';
+}
+
+/** Returns the first key bound to an action as a menu accelerator, or undefined when it has none Electron can show. */
+function getKeybindingMenuAccelerator(actionId) {
+  const binding = keybindings.find((entry) => entry.id === actionId);
+  const [key] = binding ? binding.keys : [];
+  return key && !key.endsWith('ContextMenu') ? key : undefined;
+}
+
+/** Opens `keybindings.json` in the default editor, seeding it with the current bindings first. */
+async function openKeybindingsFile() {
+  const keybindingsPath = getKeybindingsPath();
+  if (!fs.existsSync(keybindingsPath)) {
+    const bindings = {};
+    for (const binding of keybindings) {
+      bindings[binding.id] = { keys: binding.keys, passThroughOnCanvas: binding.passThroughOnCanvas };
+    }
+
+    try {
+      fs.writeFileSync(keybindingsPath, `${JSON.stringify({ bindings }, null, 2)}\n`, 'utf8');
+    } catch (error) {
+      console.warn('[figmux] Failed to create keybindings.json:', error.message);
+      return;
+    }
+  }
+
+  const errorMessage = await shell.openPath(keybindingsPath);
+  if (errorMessage) {
+    emitToast({ title: 'Keyboard Shortcuts', message: `Open ${keybindingsPath} in a text editor to change shortcuts.` });
+  }
+}
+
+function navigateTabHistory(tabId, direction) {
+  const tab = tabs.get(tabId);
+  if (!tab || !tab.view || tab.view.webContents.isDestroyed()) {
+    return;
+  }
+
+  const { webContents } = tab.view;
+  if (webContents.navigationHistory && typeof webContents.navigationHistory.goToOffset === 'function') {
+    if (direction < 0 ? canGoBackCompat(webContents) : canGoForwardCompat(webContents)) {
+      webContents.navigationHistory.goToOffset(direction);
+    }
+  } else if (direction < 0 && canGoBackCompat(webContents)) {
+    webContents.goBack();
+  } else if (direction > 0 && canGoForwardCompat(webContents)) {
+    webContents.goForward();
   }
+}
 
-  const key = (input.key || '').toLowerCase();
-  let handled = true;
+/** Returns false when the action does not apply, so the keystroke reaches the page instead. */
+function runKeybindingAction(actionId, shellWindow, sourceWebContents = null, focusedWebContents = null) {
+  const { tabOrder, activeTabId } = shellWindow;
+  const selectMatch = /^select-tab-(\d)$/.exec(actionId);
 
-  if (key === 't' && input.shift) {
-    reopenClosedTab();
-  } else if (key === 't') {
-    createTab({ activate: true });
-  } else if (key === 'w') {
+  if (selectMatch) {
+    const tabId = tabOrder[Number(selectMatch[1]) - 1];
+    if (tabId) {
+      activateTab(tabId);
+    }
+  } else if (actionId === 'select-last-tab') {
+    if (tabOrder.length > 0) {
+      activateTab(tabOrder[tabOrder.length - 1]);
+    }
+  } else if (actionId === 'new-tab') {
+    createTab({ windowId: shellWindow.id, profileId: getActiveProfileId(shellWindow), activate: true });
+  } else if (actionId === 'reopen-closed-tab') {
+    reopenClosedTab(shellWindow);
+  } else if (actionId === 'open-link') {
+    promptOpenLink(shellWindow);
+  } else if (actionId === 'find-in-page') {
+    return openFindBar(shellWindow);
+  } else if (actionId === 'close-tab') {
     const tabIdFromSource = findTabIdByWebContents(sourceWebContents);
-    const focusedWebContents =
-      sourceWebContents ||
-      (typeof electronWebContents.getFocusedWebContents === 'function'
-        ? electronWebContents.getFocusedWebContents()
-        : null);
-    const focusedTabId = findTabIdByWebContents(focusedWebContents);
-    const tabIdToClose = activeTabId || focusedTabId || tabIdFromSource;
-    closeTab(tabIdToClose);
-  } else if (key === 'q') {
+    const focusedTabId = findTabIdByWebContents(sourceWebContents || focusedWebContents);
+    closeTab(activeTabId || focusedTabId || tabIdFromSource);
+  } else if (actionId === 'reload-tab') {
+    reloadTab(activeTabId);
+  } else if (actionId === 'next-tab' || actionId === 'previous-tab') {
+    cycleTabs(shellWindow, actionId === 'previous-tab');
+  } else if (actionId === 'move-tab-right' || actionId === 'move-tab-left') {
+    const currentIndex = tabOrder.indexOf(activeTabId);
+    if (currentIndex >= 0) {
+      moveTab(activeTabId, currentIndex + (actionId === 'move-tab-right' ? 1 : -1));
+    }
+  } else if (actionId === 'go-back' || actionId === 'go-forward') {
+    navigateTabHistory(activeTabId, actionId === 'go-back' ? -1 : 1);
+  } else if (actionId === 'tab-context-menu') {
+    if (!shellWindow.shellReady) {
+      return false;
+    }
+    // The shell positions the menu under the focused (or active) tab in the strip.
+    shellWindow.browserWindow.webContents.send('tabs:contextMenuRequested');
+  } else if (actionId === 'command-palette') {
+    toggleCommandPalette(shellWindow);
+  } else if (actionId === 'show-downloads') {
+    toggleDownloadsPanel(shellWindow);
+  } else if (actionId === 'copy-tab-screenshot' || actionId === 'save-tab-screenshot') {
+    screenshotTab(shellWindow, activeTabId, actionId === 'copy-tab-screenshot' ? 'clipboard' : 'file');
+  } else if (actionId === 'capture-tab-area') {
+    openScreenshotSelection(shellWindow, activeTabId);
+  } else if (actionId === 'print-tab') {
+    return printTab(activeTabId);
+  } else if (actionId === 'export-pdf') {
+    openPdfExport(shellWindow, activeTabId);
+  } else if (actionId === 'keyboard-shortcuts') {
+    toggleCommandPalette(shellWindow, 'shortcuts');
+  } else if (actionId === 'toggle-full-screen') {
+    shellWindow.browserWindow.setFullScreen(!shellWindow.browserWindow.isFullScreen());
+  } else if (actionId === 'quit') {
     app.quit();
-  } else if (key === 'tab') {
-    cycleTabs(Boolean(input.shift));
   } else {
-    handled = false;
+    return false;
+  }
+
+  return true;
+}
+
+function handleTabShortcut(event, input, sourceWebContents = null) {
+  if (!input || input.type !== 'keyDown') {
+    return false;
+  }
+
+  const binding = keybindingsByAccelerator.get(inputToAccelerator(input));
+  if (!binding) {
+    return false;
+  }
+
+  // Tab views only receive input while focused, so a canvas URL here means the canvas has focus.
+  const sourceTab = tabs.get(findTabIdByWebContents(sourceWebContents));
+  if (binding.passThroughOnCanvas && sourceTab && canCanvasZoom(sourceTab.url)) {
+    return false;
   }
 
+  const focusedWebContents =
+    typeof electronWebContents.getFocusedWebContents === 'function'
+      ? electronWebContents.getFocusedWebContents()
+      : null;
+  const shellWindow =
+    getShellWindowForWebContents(sourceWebContents) ||
+    getShellWindowForWebContents(focusedWebContents) ||
+    getPrimaryShellWindow();
+  const handled = Boolean(
+    shellWindow && runKeybindingAction(binding.id, shellWindow, sourceWebContents, focusedWebContents)
+  );
+
   if (handled && event) {
     event.preventDefault();
     if (typeof event.stopPropagation === 'function') {
@@ -307,6 +973,13 @@ function handleTabShortcut(event, input, sourceWebContents = null) {
 }
 
 function routeExternal(input) {
+  const figmaUrl = figmaProtocolUrlToHttps(input);
+  if (figmaUrl) {
+    openLaunchUrls([figmaUrl]);
+    focusShellWindow(getPrimaryShellWindow());
+    return;
+  }
+
   try {
     shell.openExternal(input);
   } catch {
@@ -435,8 +1108,10 @@ function isAppImageRuntime() {
 }
 
 function resetUpdateProgress() {
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.setProgressBar(-1);
+  for (const shellWindow of shellWindows.values()) {
+    if (isShellWindowAlive(shellWindow)) {
+      shellWindow.browserWindow.setProgressBar(-1);
+    }
   }
   updateDownloadToastShown = false;
   updateDownloadNotificationBucket = -1;
@@ -466,11 +1141,12 @@ function isFlatpakRuntime() {
 }
 
 function emitToast({ title = '', message, durationMs = 5200 } = {}) {
-  if (!mainWindow || mainWindow.isDestroyed() || !shellReady || typeof message !== 'string' || !message.trim()) {
+  const shellWindow = getPrimaryShellWindow();
+  if (!shellWindow || !shellWindow.shellReady || typeof message !== 'string' || !message.trim()) {
     return;
   }
 
-  mainWindow.webContents.send('shell:toast', {
+  shellWindow.browserWindow.webContents.send('shell:toast', {
     title,
     message,
     durationMs
@@ -509,11 +1185,12 @@ function isVersionNewer(candidateVersion, currentVersion) {
 }
 
 async function promptForDownloadedUpdate(version) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
+  const parentWindow = getPrimaryBrowserWindow();
+  if (!parentWindow) {
     return;
   }
 
-  const { response } = await dialog.showMessageBox(mainWindow, {
+  const { response } = await dialog.showMessageBox(parentWindow, {
     type: 'info',
     buttons: ['Restart and Update', 'Later'],
     defaultId: 0,
@@ -546,7 +1223,8 @@ async function setupAppImageUpdater() {
   });
 
   autoUpdater.on('update-available', async (info) => {
-    if (!mainWindow || mainWindow.isDestroyed() || updaterPromptState === 'downloading') {
+    const parentWindow = getPrimaryBrowserWindow();
+    if (!parentWindow || updaterPromptState === 'downloading') {
       return;
     }
 
@@ -561,7 +1239,7 @@ async function setupAppImageUpdater() {
     }
 
     updaterPromptState = 'prompting';
-    const { response } = await dialog.showMessageBox(mainWindow, {
+    const { response } = await dialog.showMessageBox(parentWindow, {
       type: 'info',
       buttons: ['Download Update', 'Later'],
       defaultId: 0,
@@ -585,7 +1263,8 @@ async function setupAppImageUpdater() {
   });
 
   autoUpdater.on('download-progress', (progress) => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+    const progressWindow = getPrimaryBrowserWindow();
+    if (!progressWindow) {
       return;
     }
 
@@ -611,12 +1290,16 @@ async function setupAppImageUpdater() {
         body: `Downloading update: ${Math.round(fraction * 100)}%`
       });
     }
-    mainWindow.setProgressBar(fraction);
+    progressWindow.setProgressBar(fraction);
   });
 
   autoUpdater.on('update-not-available', () => {
     updaterPromptState = 'idle';
     resetUpdateProgress();
+    if (isManualUpdateCheck) {
+      emitToast({ title: 'No Updates', message: `Figmux ${app.getVersion()} is the latest version.` });
+    }
+    isManualUpdateCheck = false;
   });
 
   autoUpdater.on('update-downloaded', async (info) => {
@@ -632,6 +1315,7 @@ async function setupAppImageUpdater() {
 
   autoUpdater.on('error', (error) => {
     updaterPromptState = 'idle';
+    isManualUpdateCheck = false;
     resetUpdateProgress();
     console.warn('[figmux-updater] Update check failed:', error.message);
   });
@@ -643,43 +1327,75 @@ async function setupAppImageUpdater() {
   }, 15000);
 }
 
+async function checkFlatpakUpdate({ announceUpToDate = false } = {}) {
+  try {
+    const response = await fetch(GITHUB_RELEASES_LATEST_URL, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'figmux'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub releases request failed with ${response.status}`);
+    }
+
+    const release = await response.json();
+    const latestVersion =
+      typeof release.tag_name === 'string' && release.tag_name.trim()
+        ? release.tag_name.trim().replace(/^v/i, '')
+        : '';
+
+    if (!latestVersion || !isVersionNewer(latestVersion, app.getVersion())) {
+      if (announceUpToDate) {
+        emitToast({ title: 'No Updates', message: `Figmux ${app.getVersion()} is the latest version.` });
+      }
+      return;
+    }
+
+    emitToast({
+      title: 'Update Available',
+      message: `Figmux ${latestVersion} is available. Update Figmux to get latest updates and fixes.`,
+      durationMs: 7000
+    });
+  } catch (error) {
+    console.warn('[figmux-flatpak-updater] Unable to check for updates:', error.message);
+  }
+}
+
 async function setupFlatpakUpdateNotice() {
   if (!isFlatpakRuntime()) {
     return;
   }
 
-  setTimeout(async () => {
-    try {
-      const response = await fetch(GITHUB_RELEASES_LATEST_URL, {
-        headers: {
-          Accept: 'application/vnd.github+json',
-          'User-Agent': 'figmux'
-        }
-      });
+  setTimeout(() => {
+    checkFlatpakUpdate();
+  }, 15000);
+}
 
-      if (!response.ok) {
-        throw new Error(`GitHub releases request failed with ${response.status}`);
-      }
+function checkForUpdatesNow() {
+  if (isFlatpakRuntime()) {
+    checkFlatpakUpdate({ announceUpToDate: true });
+    return;
+  }
 
-      const release = await response.json();
-      const latestVersion =
-        typeof release.tag_name === 'string' && release.tag_name.trim()
-          ? release.tag_name.trim().replace(/^v/i, '')
-          : '';
+  if (!isAppImageRuntime() || !autoUpdater) {
+    emitToast({
+      title: 'Updates',
+      message: 'Update checks are available in the AppImage and Flatpak builds.'
+    });
+    return;
+  }
 
-      if (!latestVersion || !isVersionNewer(latestVersion, app.getVersion())) {
-        return;
-      }
+  if (updaterPromptState !== 'idle') {
+    return;
+  }
 
-      emitToast({
-        title: 'Update Available',
-        message: `Figmux ${latestVersion} is available. Update Figmux to get latest updates and fixes.`,
-        durationMs: 7000
-      });
-    } catch (error) {
-      console.warn('[figmux-flatpak-updater] Unable to check for updates:', error.message);
-    }
-  }, 15000);
+  isManualUpdateCheck = true;
+  autoUpdater.checkForUpdates().catch((error) => {
+    isManualUpdateCheck = false;
+    console.warn('[figmux-updater] Unable to check for updates:', error.message);
+  });
 }
 
 function shouldAllowFigmaPermission(permission, requestUrl) {
@@ -728,27 +1444,180 @@ function attachFigmaUserAgentPolicy(targetWebContents) {
   });
 }
 
-function buildShellWebPreferences() {
-  return {
-    preload: path.join(__dirname, 'preload.js'),
-    contextIsolation: true,
-    nodeIntegration: false,
-    sandbox: true
-  };
+function getProfilesPath() {
+  return path.join(app.getPath('userData'), PROFILES_FILE);
 }
 
-function buildTabWebPreferences() {
+function loadProfiles() {
+  const loaded = [];
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getProfilesPath(), 'utf8'));
+    for (const entry of Array.isArray(parsed && parsed.profiles) ? parsed.profiles : []) {
+      if (
+        !entry ||
+        typeof entry.id !== 'string' ||
+        !/^[a-z0-9-]+$/.test(entry.id) ||
+        typeof entry.name !== 'string' ||
+        loaded.some((profile) => profile.id === entry.id)
+      ) {
+        continue;
+      }
+
+      loaded.push({
+        id: entry.id,
+        name: entry.name.trim() || entry.id,
+        color: typeof entry.color === 'string' ? entry.color : PROFILE_COLORS[loaded.length % PROFILE_COLORS.length]
+      });
+    }
+  } catch {
+    // Missing or unreadable profiles fall back to the default profile only.
+  }
+
+  if (!loaded.some((profile) => profile.id === DEFAULT_PROFILE_ID)) {
+    loaded.unshift({ id: DEFAULT_PROFILE_ID, name: 'Default', color: PROFILE_COLORS[0] });
+  }
+
+  profiles = loaded;
+}
+
+function persistProfiles() {
+  try {
+    fs.writeFileSync(getProfilesPath(), JSON.stringify({ profiles }), 'utf8');
+  } catch {
+    // Persistence failures should never crash the app.
+  }
+}
+
+function getProfile(profileId) {
+  return profiles.find((profile) => profile.id === profileId) || profiles[0];
+}
+
+function getProfilePartition(profileId) {
+  return profileId === DEFAULT_PROFILE_ID ? PERSISTENT_PARTITION : `${PROFILE_PARTITION_PREFIX}${profileId}`;
+}
+
+function getActiveProfileId(shellWindow) {
+  const activeTab = shellWindow ? tabs.get(shellWindow.activeTabId) : null;
+  return activeTab ? activeTab.profileId : DEFAULT_PROFILE_ID;
+}
+
+function createUniqueId(name, fallback, existingItems) {
+  const baseId =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || fallback;
+  let id = baseId;
+  for (let suffix = 2; existingItems.some((item) => item.id === id); suffix += 1) {
+    id = `${baseId}-${suffix}`;
+  }
+
+  return id;
+}
+
+function createProfile(name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName) {
+    return null;
+  }
+
+  const id = createUniqueId(trimmedName, 'profile', profiles);
+
+  const profile = {
+    id,
+    name: trimmedName,
+    color: PROFILE_COLORS[profiles.length % PROFILE_COLORS.length]
+  };
+  profiles.push(profile);
+  persistProfiles();
+  return profile;
+}
+
+function getSettingsPath() {
+  return path.join(app.getPath('userData'), SETTINGS_FILE);
+}
+
+function loadSettings() {
+  const loaded = { ...DEFAULT_SETTINGS };
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getSettingsPath(), 'utf8'));
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (parsed && typeof parsed[key] === typeof DEFAULT_SETTINGS[key]) {
+        loaded[key] = parsed[key];
+      }
+    }
+  } catch {
+    // Missing or unreadable settings fall back to the defaults.
+  }
+
+  settings = loaded;
+}
+
+function updateSettings(changes) {
+  settings = { ...settings, ...changes };
+
+  try {
+    fs.writeFileSync(getSettingsPath(), JSON.stringify(settings, null, 2), 'utf8');
+  } catch {
+    // Persistence failures should never crash the app.
+  }
+}
+
+function configureFigmaPartition(partition) {
+  if (configuredPartitions.has(partition)) {
+    return partition;
+  }
+
+  configuredPartitions.add(partition);
+  const figmaPartitionSession = session.fromPartition(partition);
+
+  figmaPartitionSession.setPermissionRequestHandler((webContents, permission, callback, details) => {
+    const requestingUrl =
+      (details && typeof details.requestingUrl === 'string' && details.requestingUrl) ||
+      (webContents && !webContents.isDestroyed() ? webContents.getURL() : '');
+    const allowed = shouldAllowFigmaPermission(permission, requestingUrl);
+    callback(allowed);
+  });
+
+  figmaPartitionSession.setPermissionCheckHandler((webContents, permission, requestingOrigin, details) => {
+    const requestingUrl =
+      (details && typeof details.requestingUrl === 'string' && details.requestingUrl) ||
+      requestingOrigin ||
+      (webContents && !webContents.isDestroyed() ? webContents.getURL() : '');
+    const allowed = shouldAllowFigmaPermission(permission, requestingUrl);
+    return allowed;
+  });
+
+  figmaPartitionSession.on('will-download', (_event, item) => {
+    trackDownload(item, partition);
+  });
+
+  return partition;
+}
+
+function buildShellWebPreferences() {
+  return {
+    preload: path.join(__dirname, 'preload.js'),
+    contextIsolation: true,
+    nodeIntegration: false,
+    sandbox: true
+  };
+}
+
+function buildTabWebPreferences(partition = PERSISTENT_PARTITION) {
   return {
     preload: path.join(__dirname, 'tab-preload.js'),
     contextIsolation: true,
     nodeIntegration: false,
     sandbox: true,
     nativeWindowOpen: true,
-    partition: PERSISTENT_PARTITION
+    partition: configureFigmaPartition(partition)
   };
 }
 
-function buildAuthPopupWindowOptions() {
+function buildAuthPopupWindowOptions(partition = PERSISTENT_PARTITION) {
   const options = {
     title: AUTH_POPUP_BASE_TITLE,
     width: 520,
@@ -756,7 +1625,7 @@ function buildAuthPopupWindowOptions() {
     minWidth: 440,
     minHeight: 600,
     autoHideMenuBar: true,
-    webPreferences: buildTabWebPreferences()
+    webPreferences: buildTabWebPreferences(partition)
   };
 
   if (process.platform === 'linux' && appIconPath) {
@@ -766,7 +1635,8 @@ function buildAuthPopupWindowOptions() {
   return options;
 }
 
-function configureAuthPopupWindow(authWindow) {
+// Popups must share the opener's partition so sign-in lands in the same profile.
+function configureAuthPopupWindow(authWindow, partition = PERSISTENT_PARTITION) {
   if (!authWindow || authWindow.isDestroyed()) {
     return;
   }
@@ -848,7 +1718,7 @@ function configureAuthPopupWindow(authWindow) {
     if (shouldOpenAuthPopup(url, referrer.url)) {
       return {
         action: 'allow',
-        overrideBrowserWindowOptions: buildAuthPopupWindowOptions()
+        overrideBrowserWindowOptions: buildAuthPopupWindowOptions(partition)
       };
     }
 
@@ -857,35 +1727,143 @@ function configureAuthPopupWindow(authWindow) {
   });
 }
 
-function openAuthPopup(url) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
+function openAuthPopup(url, parentWindow, partition = PERSISTENT_PARTITION) {
+  if (!parentWindow || parentWindow.isDestroyed()) {
     return null;
   }
 
   const authWindow = new BrowserWindow({
-    ...buildAuthPopupWindowOptions(),
-    parent: mainWindow
+    ...buildAuthPopupWindowOptions(partition),
+    parent: parentWindow
   });
   authWindow.setTitle(`${AUTH_POPUP_SPINNER_FRAMES[0]} ${AUTH_POPUP_BASE_TITLE}`);
-  configureAuthPopupWindow(authWindow);
+  configureAuthPopupWindow(authWindow, partition);
   authWindow.loadURL(url);
   return authWindow;
 }
 
-function rememberClosedTab({ url, title, index }) {
+/** Closed-tab ids only live for this session; the persisted history is re-numbered on load. */
+function createClosedTabId() {
+  closedTabIdCounter += 1;
+  return `closed-${closedTabIdCounter}`;
+}
+
+function rememberClosedTab({ url, title, index, profileId = DEFAULT_PROFILE_ID }) {
   if (!url || typeof index !== 'number' || index < 0) {
     return;
   }
 
   closedTabs.push({
+    id: createClosedTabId(),
     url,
     title: title || 'Figma',
-    index
+    index,
+    profileId,
+    closedAt: Date.now()
   });
 
   if (closedTabs.length > CLOSED_TABS_LIMIT) {
     closedTabs.shift();
   }
+  queuePersistClosedTabs();
+}
+
+function getClosedTabsPath() {
+  return path.join(app.getPath('userData'), CLOSED_TABS_FILE);
+}
+
+function loadClosedTabs() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getClosedTabsPath(), 'utf8'));
+    for (const entry of Array.isArray(parsed && parsed.closedTabs) ? parsed.closedTabs : []) {
+      if (!entry || typeof entry.url !== 'string' || !canRestoreUrl(entry.url)) {
+        continue;
+      }
+
+      closedTabs.push({
+        id: createClosedTabId(),
+        url: entry.url,
+        title: typeof entry.title === 'string' && entry.title ? entry.title : 'Figma',
+        index: Number.isInteger(entry.index) && entry.index >= 0 ? entry.index : 0,
+        profileId: typeof entry.profileId === 'string' ? entry.profileId : DEFAULT_PROFILE_ID,
+        closedAt: typeof entry.closedAt === 'number' ? entry.closedAt : 0
+      });
+    }
+  } catch {
+    // Missing or unreadable history starts empty.
+  }
+
+  closedTabs.splice(0, Math.max(0, closedTabs.length - CLOSED_TABS_LIMIT));
+}
+
+function persistClosedTabs() {
+  clearTimeout(closedTabsWriteTimer);
+  try {
+    fs.writeFileSync(getClosedTabsPath(), JSON.stringify({ closedTabs }), 'utf8');
+  } catch {
+    // Persistence failures should never crash the app.
+  }
+}
+
+function queuePersistClosedTabs() {
+  clearTimeout(closedTabsWriteTimer);
+  closedTabsWriteTimer = setTimeout(persistClosedTabs, 300);
+}
+
+function formatClosedAgo(closedAt) {
+  const minutes = Math.floor((Date.now() - closedAt) / 60000);
+  if (!closedAt || minutes < 0) {
+    return '';
+  }
+
+  if (minutes < 1) {
+    return 'just now';
+  }
+
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) {
+    return `${hours} h ago`;
+  }
+
+  const days = Math.floor(hours / 24);
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+}
+
+function buildRecentlyClosedMenuItem(shellWindow) {
+  const submenu = [];
+  for (let closedIndex = closedTabs.length - 1; closedIndex >= 0; closedIndex -= 1) {
+    const entry = closedTabs[closedIndex];
+    const closedAgo = formatClosedAgo(entry.closedAt);
+    submenu.push({
+      label: closedAgo ? `${entry.title} — ${closedAgo}` : entry.title,
+      click: () => {
+        reopenClosedTab(shellWindow, entry.id);
+      }
+    });
+  }
+
+  if (submenu.length > 0) {
+    submenu.push(
+      { type: 'separator' },
+      {
+        label: 'Clear recently closed',
+        click: () => {
+          closedTabs.length = 0;
+          queuePersistClosedTabs();
+        }
+      }
+    );
+  }
+
+  return {
+    label: 'Recently closed',
+    enabled: submenu.length > 0,
+    submenu: submenu.length > 0 ? submenu : [{ label: 'No recently closed tabs', enabled: false }]
+  };
 }
 
 function canGoBackCompat(webContents) {
@@ -923,27 +1901,71 @@ function nextTabId() {
   return `tab-${tabIdCounter}`;
 }
 
+function nextGroupId() {
+  groupIdCounter += 1;
+  return `group-${groupIdCounter}`;
+}
+
+function getTabGroupColor(colorId) {
+  return TAB_GROUP_COLORS.find((color) => color.id === colorId) || TAB_GROUP_COLORS[0];
+}
+
+function toTabGroupSnapshot(group) {
+  return {
+    id: group.id,
+    name: group.name,
+    color: group.color,
+    colorValue: getTabGroupColor(group.color).value,
+    isCollapsed: group.isCollapsed
+  };
+}
+
 function toTabSnapshot(tabId) {
   const tab = tabs.get(tabId);
   if (!tab) {
     return null;
   }
 
+  const shellWindow = shellWindows.get(tab.windowId);
+  const profile = getProfile(tab.profileId);
   return {
     id: tab.id,
     title: tab.title,
     url: tab.url,
+    profileId: profile.id,
+    profileName: profile.name,
+    profileColor: profile.color,
+    isPinned: tab.isPinned,
+    groupId: tab.groupId,
+    isDiscarded: !tab.view,
+    favicon: tab.favicon,
+    documentType: getFigmaDocumentType(tab.url),
+    crashState: tab.crashState,
+    crashReason: tab.crashReason,
+    hasLoadError: Boolean(tab.loadError),
     isLoading: tab.isLoading,
     canGoBack: tab.canGoBack,
     canGoForward: tab.canGoForward,
-    isActive: tab.id === activeTabId
+    isActive: Boolean(shellWindow && tab.id === shellWindow.activeTabId)
   };
 }
 
-function getTabsSnapshot() {
+function getTabsSnapshot(shellWindow) {
+  if (!shellWindow) {
+    return {
+      activeTabId: null,
+      groups: [],
+      tabs: []
+    };
+  }
+
   return {
-    activeTabId,
-    tabs: tabOrder.map(toTabSnapshot).filter(Boolean)
+    activeTabId: shellWindow.activeTabId,
+    splitTabIds: shellWindow.split ? shellWindow.split.tabIds.slice() : [],
+    showProfileMarkers: profiles.length > 1,
+    showNavigationControls: settings.showNavigationControls,
+    groups: Array.from(shellWindow.groups.values()).map(toTabGroupSnapshot),
+    tabs: shellWindow.tabOrder.map(toTabSnapshot).filter(Boolean)
   };
 }
 
@@ -965,13 +1987,8 @@ function forwardZoomToTab(tab, zoomIn, x = 0, y = 0) {
   return true;
 }
 
-function forwardActiveTabZoomInput(input) {
-  if (!activeTabId) {
-    return false;
-  }
-
-  const tab = tabs.get(activeTabId);
-  if (!tab) {
+function forwardActiveTabZoomInput(shellWindow, input) {
+  if (!shellWindow || !shellWindow.activeTabId) {
     return false;
   }
 
@@ -981,17 +1998,23 @@ function forwardActiveTabZoomInput(input) {
   }
 
   const x = Number.isFinite(input && input.x) ? input.x : 0;
-  const rawY = Number.isFinite(input && input.y) ? input.y : 0;
-  const y = Math.max(0, rawY - TITLEBAR_HEIGHT);
-  return forwardZoomToTab(tab, direction, x, y);
+  const y = Number.isFinite(input && input.y) ? input.y : 0;
+  // In split view the gesture belongs to the pane under the pointer, not the focused one.
+  const tab = findVisibleTabAtPoint(shellWindow, x, y) || tabs.get(shellWindow.activeTabId);
+  if (!tab || !tab.view) {
+    return false;
+  }
+
+  const bounds = tab.view.getBounds();
+  return forwardZoomToTab(tab, direction, x - bounds.x, y - bounds.y);
 }
 
-function forwardActiveTabZoomDirection(zoomDirection) {
-  if (!activeTabId) {
+function forwardActiveTabZoomDirection(shellWindow, zoomDirection) {
+  if (!shellWindow || !shellWindow.activeTabId) {
     return false;
   }
 
-  const tab = tabs.get(activeTabId);
+  const tab = tabs.get(shellWindow.activeTabId);
   if (!tab) {
     return false;
   }
@@ -1004,143 +2027,543 @@ function forwardActiveTabZoomDirection(zoomDirection) {
 }
 
 function emitTabWillClose(tabId) {
-  if (!mainWindow || mainWindow.isDestroyed() || !shellReady || !tabId) {
+  const shellWindow = getShellWindowForTab(tabs.get(tabId));
+  if (!shellWindow || !shellWindow.shellReady || !tabId) {
+    return;
+  }
+
+  shellWindow.browserWindow.webContents.send('tabs:willClose', tabId);
+}
+
+function emitTabsState(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
     return;
   }
 
-  mainWindow.webContents.send('tabs:willClose', tabId);
+  shellWindow.browserWindow.webContents.send('tabs:stateChanged', getTabsSnapshot(shellWindow));
 }
 
-function emitTabsState() {
-  if (!mainWindow || mainWindow.isDestroyed() || !shellReady) {
+function emitWindowState(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
     return;
   }
 
-  mainWindow.webContents.send('tabs:stateChanged', getTabsSnapshot());
+  const { browserWindow } = shellWindow;
+  browserWindow.webContents.send('window:stateChanged', {
+    isMaximized: browserWindow.isMaximized(),
+    isFullScreen: browserWindow.isFullScreen()
+  });
+}
+
+function countPinnedTabs(shellWindow) {
+  return shellWindow.tabOrder.filter((tabId) => {
+    const tab = tabs.get(tabId);
+    return Boolean(tab && tab.isPinned);
+  }).length;
 }
 
-function emitWindowState() {
-  if (!mainWindow || mainWindow.isDestroyed() || !shellReady) {
+function setTabPinned(tabId, isPinned) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow || tab.isPinned === isPinned) {
     return;
   }
 
-  mainWindow.webContents.send('window:stateChanged', {
-    isMaximized: mainWindow.isMaximized(),
-    isFullScreen: mainWindow.isFullScreen()
+  // Pinning appends to the pinned section; unpinning puts the tab first among unpinned tabs.
+  const { tabOrder } = shellWindow;
+  tabOrder.splice(tabOrder.indexOf(tabId), 1);
+  const pinnedCount = countPinnedTabs(shellWindow);
+  tab.isPinned = isPinned;
+  tab.groupId = null;
+  tabOrder.splice(pinnedCount, 0, tabId);
+  pruneEmptyTabGroups(shellWindow);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+async function confirmClosePinnedTab(tab) {
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow) {
+    return false;
+  }
+
+  const { response } = await dialog.showMessageBox(shellWindow.browserWindow, {
+    type: 'question',
+    buttons: ['Close Tab', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Close Pinned Tab',
+    message: 'Close this pinned tab?',
+    detail: `"${tab.title || 'Figma'}" is pinned. Unpin it to close it without this prompt.`
   });
+
+  return response === 0;
 }
 
 function moveTab(tabId, targetIndex) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow) {
+    return false;
+  }
+
+  const { tabOrder } = shellWindow;
   const currentIndex = tabOrder.indexOf(tabId);
   if (currentIndex < 0 || !Number.isInteger(targetIndex)) {
     return false;
   }
 
-  const boundedTargetIndex = Math.max(0, Math.min(targetIndex, tabOrder.length - 1));
+  // Pinned and unpinned tabs only reorder within their own section of the strip.
+  const pinnedCount = countPinnedTabs(shellWindow);
+  const minIndex = tab.isPinned ? 0 : pinnedCount;
+  const maxIndex = tab.isPinned ? pinnedCount - 1 : tabOrder.length - 1;
+  const boundedTargetIndex = Math.max(minIndex, Math.min(targetIndex, maxIndex));
   if (currentIndex === boundedTargetIndex) {
     return false;
   }
 
   tabOrder.splice(currentIndex, 1);
   tabOrder.splice(boundedTargetIndex, 0, tabId);
-  emitTabsState();
+  syncTabGroupWithNeighbours(shellWindow, tab);
+  emitTabsState(shellWindow);
   queuePersistTabState();
   return true;
 }
 
-function getTabStatePath() {
-  return path.join(app.getPath('userData'), TAB_STATE_FILE);
+function getTabGroupMemberIndexes(shellWindow, groupId) {
+  const indexes = [];
+  shellWindow.tabOrder.forEach((tabId, index) => {
+    const tab = tabs.get(tabId);
+    if (tab && tab.groupId === groupId) {
+      indexes.push(index);
+    }
+  });
+  return indexes;
 }
 
-function queuePersistTabState() {
-  clearTimeout(tabStateWriteTimer);
-  tabStateWriteTimer = setTimeout(() => {
-    const payload = {
-      activeTabId,
-      tabs: tabOrder
-        .map((tabId) => tabs.get(tabId))
-        .filter(Boolean)
-        .map((tab) => ({
-          id: tab.id,
-          url: tab.url,
-          title: tab.title
-        }))
-    };
-
-    try {
-      fs.writeFileSync(getTabStatePath(), JSON.stringify(payload), 'utf8');
-    } catch {
-      // Persistence failures should never crash the app.
+function pruneEmptyTabGroups(shellWindow) {
+  for (const groupId of Array.from(shellWindow.groups.keys())) {
+    if (getTabGroupMemberIndexes(shellWindow, groupId).length === 0) {
+      shellWindow.groups.delete(groupId);
     }
-  }, 300);
+  }
 }
 
-function reopenClosedTab() {
-  const lastClosedTab = closedTabs.pop();
-  if (!lastClosedTab) {
-    return null;
+/**
+ * Keeps groups contiguous after a tab lands at a new position: dropping between two members
+ * joins their group, and leaving every member of the old group behind ungroups the tab.
+ */
+function syncTabGroupWithNeighbours(shellWindow, tab) {
+  if (tab.isPinned) {
+    return;
   }
 
-  const insertionIndex = Math.max(0, Math.min(lastClosedTab.index, tabOrder.length));
-  return createTab({
-    url: lastClosedTab.url,
-    activate: true,
-    insertIndex: insertionIndex,
-    title: lastClosedTab.title
-  });
+  const { tabOrder } = shellWindow;
+  const index = tabOrder.indexOf(tab.id);
+  const left = tabs.get(tabOrder[index - 1]);
+  const right = tabs.get(tabOrder[index + 1]);
+  const leftGroupId = left ? left.groupId : null;
+  const rightGroupId = right ? right.groupId : null;
+
+  if (leftGroupId && leftGroupId === rightGroupId) {
+    tab.groupId = leftGroupId;
+  } else if (tab.groupId && tab.groupId !== leftGroupId && tab.groupId !== rightGroupId) {
+    tab.groupId = null;
+  }
+
+  pruneEmptyTabGroups(shellWindow);
 }
 
-function trackTabState(tab) {
-  const { webContents } = tab.view;
-  let forwardingSyntheticZoom = false;
-  let pinchUpdateQueued = false;
-  const lastPointer = { x: 0, y: 0 };
+function addTabToGroup(tabId, groupId) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  const group = shellWindow ? shellWindow.groups.get(groupId) : null;
+  if (!group || tab.isPinned || tab.groupId === groupId) {
+    return;
+  }
 
-  attachFigmaUserAgentPolicy(webContents);
+  const { tabOrder } = shellWindow;
+  const currentIndex = tabOrder.indexOf(tabId);
+  tabOrder.splice(currentIndex, 1);
+  const memberIndexes = getTabGroupMemberIndexes(shellWindow, groupId);
+  tab.groupId = groupId;
+  const insertIndex = memberIndexes.length > 0 ? memberIndexes[memberIndexes.length - 1] + 1 : currentIndex;
+  tabOrder.splice(insertIndex, 0, tabId);
+  pruneEmptyTabGroups(shellWindow);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
 
-  function sendCanvasZoomWheel(zoomIn) {
-    forwardingSyntheticZoom = true;
-    try {
-      forwardZoomToTab(tab, zoomIn, lastPointer.x, lastPointer.y);
-    } finally {
-      forwardingSyntheticZoom = false;
-    }
+function createTabGroup(tabId) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow || tab.isPinned) {
+    return null;
   }
 
-  webContents
-    .setVisualZoomLevelLimits(1, 3)
-    .catch(() => {
-      // Ignore platforms where visual zoom limits are unsupported.
-    });
+  const usedColors = new Set(Array.from(shellWindow.groups.values()).map((group) => group.color));
+  const color = TAB_GROUP_COLORS.find((entry) => !usedColors.has(entry.id)) || TAB_GROUP_COLORS[0];
+  const group = {
+    id: nextGroupId(),
+    name: '',
+    color: color.id,
+    isCollapsed: false
+  };
+  shellWindow.groups.set(group.id, group);
+  addTabToGroup(tabId, group.id);
+  return group;
+}
 
-  webContents.setZoomFactor(1);
+function removeTabFromGroup(tabId) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow || !tab.groupId) {
+    return;
+  }
 
-  function handlePinchGestureUpdate() {
-    pinchUpdateQueued = false;
-    const zoomFactor = webContents.getZoomFactor();
-    const zoomIn = zoomFactor > 1.001;
-    const zoomOut = zoomFactor < 0.999;
+  // The tab leaves to the right of its former group so the group stays contiguous.
+  const { tabOrder } = shellWindow;
+  const groupId = tab.groupId;
+  tabOrder.splice(tabOrder.indexOf(tabId), 1);
+  tab.groupId = null;
+  const memberIndexes = getTabGroupMemberIndexes(shellWindow, groupId);
+  if (memberIndexes.length > 0) {
+    tabOrder.splice(memberIndexes[memberIndexes.length - 1] + 1, 0, tabId);
+  } else {
+    insertTabIntoWindow(shellWindow, tabId);
+  }
+  pruneEmptyTabGroups(shellWindow);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
 
-    if ((zoomIn || zoomOut) && canCanvasZoom(tab.url) && !forwardingSyntheticZoom) {
-      sendCanvasZoomWheel(zoomIn);
-    }
+function ungroupTabGroup(shellWindow, groupId) {
+  if (!shellWindow || !shellWindow.groups.has(groupId)) {
+    return;
+  }
 
-    if (zoomFactor !== 1) {
-      webContents.setZoomFactor(1);
+  for (const tabId of shellWindow.tabOrder) {
+    const tab = tabs.get(tabId);
+    if (tab && tab.groupId === groupId) {
+      tab.groupId = null;
     }
   }
 
-  webContents.setWindowOpenHandler(({ url, referrer }) => {
-    if (shouldOpenAuthPopup(url, referrer.url)) {
-      return {
-        action: 'allow',
-        overrideBrowserWindowOptions: buildAuthPopupWindowOptions()
-      };
-    }
+  shellWindow.groups.delete(groupId);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+function closeTabGroup(shellWindow, groupId) {
+  if (!shellWindow || !shellWindow.groups.has(groupId)) {
+    return;
+  }
+
+  const memberTabIds = shellWindow.tabOrder.filter((tabId) => {
+    const tab = tabs.get(tabId);
+    return tab && tab.groupId === groupId;
+  });
+  for (const tabId of memberTabIds) {
+    closeTab(tabId);
+  }
+}
+
+function updateTabGroup(shellWindow, groupId, changes) {
+  const group = shellWindow ? shellWindow.groups.get(groupId) : null;
+  if (!group) {
+    return;
+  }
+
+  if (typeof changes.name === 'string') {
+    group.name = changes.name.trim();
+  }
+
+  if (typeof changes.color === 'string') {
+    group.color = getTabGroupColor(changes.color).id;
+  }
+
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+function setTabGroupCollapsed(shellWindow, groupId, isCollapsed) {
+  const group = shellWindow ? shellWindow.groups.get(groupId) : null;
+  if (!group || group.isCollapsed === isCollapsed) {
+    return;
+  }
+
+  const activeTab = tabs.get(shellWindow.activeTabId);
+  if (isCollapsed && activeTab && activeTab.groupId === groupId) {
+    // Hand focus to the closest visible tab outside the group before hiding it.
+    const { tabOrder } = shellWindow;
+    const activeIndex = tabOrder.indexOf(activeTab.id);
+    const candidates = tabOrder
+      .map((tabId, index) => ({ tab: tabs.get(tabId), index }))
+      .filter(({ tab }) => {
+        if (!tab || tab.groupId === groupId) {
+          return false;
+        }
+        const candidateGroup = tab.groupId ? shellWindow.groups.get(tab.groupId) : null;
+        return !candidateGroup || !candidateGroup.isCollapsed;
+      })
+      .sort((a, b) => Math.abs(a.index - activeIndex) - Math.abs(b.index - activeIndex));
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    group.isCollapsed = true;
+    activateTab(candidates[0].tab.id);
+    return;
+  }
+
+  group.isCollapsed = isCollapsed;
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+async function promptRenameTabGroup(shellWindow, groupId) {
+  const group = shellWindow ? shellWindow.groups.get(groupId) : null;
+  if (!group) {
+    return;
+  }
+
+  const name = await promptInShell(shellWindow, {
+    label: 'Group name',
+    placeholder: 'e.g. Onboarding flow',
+    value: group.name,
+    confirmLabel: 'Save'
+  });
+
+  if (name !== null) {
+    updateTabGroup(shellWindow, groupId, { name });
+  }
+}
+
+function buildTabGroupMenuTemplate(shellWindow, groupId) {
+  const group = shellWindow.groups.get(groupId);
+  return [
+    {
+      label: 'Rename group…',
+      click: () => {
+        promptRenameTabGroup(shellWindow, groupId);
+      }
+    },
+    {
+      label: 'Color',
+      submenu: TAB_GROUP_COLORS.map((color) => ({
+        label: color.label,
+        type: 'radio',
+        checked: group.color === color.id,
+        click: () => {
+          updateTabGroup(shellWindow, groupId, { color: color.id });
+        }
+      }))
+    },
+    {
+      label: group.isCollapsed ? 'Expand group' : 'Collapse group',
+      click: () => {
+        setTabGroupCollapsed(shellWindow, groupId, !group.isCollapsed);
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Ungroup',
+      click: () => {
+        ungroupTabGroup(shellWindow, groupId);
+      }
+    },
+    {
+      label: 'Close group',
+      click: () => {
+        closeTabGroup(shellWindow, groupId);
+      }
+    }
+  ];
+}
+
+function getTabStatePath() {
+  return path.join(app.getPath('userData'), TAB_STATE_FILE);
+}
+
+function buildWindowStatePayload(shellWindow) {
+  const { browserWindow } = shellWindow;
+  return {
+    bounds: browserWindow.getNormalBounds(),
+    isMaximized: browserWindow.isMaximized(),
+    activeTabId: shellWindow.activeTabId,
+    workspaceId: shellWindow.workspaceId,
+    split: shellWindow.split ? { ...shellWindow.split, tabIds: shellWindow.split.tabIds.slice() } : null,
+    groups: Array.from(shellWindow.groups.values()).map((group) => ({ ...group })),
+    tabs: shellWindow.tabOrder
+      .map((tabId) => tabs.get(tabId))
+      .filter(Boolean)
+      .map((tab) => ({
+        id: tab.id,
+        url: tab.url,
+        title: tab.title,
+        profileId: tab.profileId,
+        isPinned: tab.isPinned,
+        groupId: tab.groupId,
+        favicon: tab.favicon
+      }))
+  };
+}
+
+function getTabStateBackupPath(index) {
+  return `${getTabStatePath()}.${index}`;
+}
+
+/** Writes through a temp file and a rename so a crash mid-write never leaves a truncated file behind. */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeFileSync(fd, contents, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Shifts the backups down by one and copies the current file into the first slot. Runs on the
+ * first write of a session and then at most every TAB_STATE_BACKUP_INTERVAL_MS, and never
+ * backs up a file that cannot be read, so a corrupt write cannot push out a good snapshot.
+ */
+function rotateTabStateBackups() {
+  if (lastTabStateBackupAt && Date.now() - lastTabStateBackupAt < TAB_STATE_BACKUP_INTERVAL_MS) {
+    return;
+  }
+
+  lastTabStateBackupAt = Date.now();
+  if (!readTabStateFile(getTabStatePath())) {
+    return;
+  }
+
+  for (let index = TAB_STATE_BACKUP_COUNT - 1; index >= 1; index -= 1) {
+    if (fs.existsSync(getTabStateBackupPath(index))) {
+      fs.renameSync(getTabStateBackupPath(index), getTabStateBackupPath(index + 1));
+    }
+  }
+  fs.copyFileSync(getTabStatePath(), getTabStateBackupPath(1));
+}
+
+function persistTabState() {
+  clearTimeout(tabStateWriteTimer);
+  tabStateWriteTimer = null;
+
+  const windows = Array.from(shellWindows.values())
+    .filter(isShellWindowAlive)
+    .map(buildWindowStatePayload)
+    .filter((windowState) => windowState.tabs.length > 0);
+
+  if (windows.length === 0) {
+    return;
+  }
+
+  try {
+    rotateTabStateBackups();
+    writeFileAtomic(getTabStatePath(), JSON.stringify({ version: TAB_STATE_VERSION, savedAt: Date.now(), windows }));
+  } catch (error) {
+    // Persistence failures should never crash the app.
+    console.warn('[figmux] Failed to save tab state:', error.message);
+  }
+}
+
+/** Writes a pending tab state save right away, e.g. before quitting. */
+function flushTabState() {
+  if (tabStateWriteTimer) {
+    persistTabState();
+  }
+}
+
+function queuePersistTabState() {
+  clearTimeout(tabStateWriteTimer);
+  tabStateWriteTimer = setTimeout(persistTabState, 300);
+}
+
+/** Reopens the closed tab with the given id, or the most recently closed one. */
+function reopenClosedTab(shellWindow = getPrimaryShellWindow(), closedTabId = null) {
+  if (!shellWindow) {
+    return null;
+  }
+
+  const closedIndex = closedTabId
+    ? closedTabs.findIndex((entry) => entry.id === closedTabId)
+    : closedTabs.length - 1;
+  const [lastClosedTab] = closedIndex >= 0 ? closedTabs.splice(closedIndex, 1) : [];
+  if (!lastClosedTab) {
+    return null;
+  }
+  queuePersistClosedTabs();
+
+  const insertionIndex = Math.max(0, Math.min(lastClosedTab.index, shellWindow.tabOrder.length));
+  return createTab({
+    windowId: shellWindow.id,
+    url: lastClosedTab.url,
+    activate: true,
+    insertIndex: insertionIndex,
+    title: lastClosedTab.title,
+    profileId: lastClosedTab.profileId
+  });
+}
+
+function trackTabState(tab) {
+  const { webContents } = tab.view;
+  let forwardingSyntheticZoom = false;
+  let pinchUpdateQueued = false;
+  const lastPointer = { x: 0, y: 0 };
+
+  attachFigmaUserAgentPolicy(webContents);
+
+  function sendCanvasZoomWheel(zoomIn) {
+    forwardingSyntheticZoom = true;
+    try {
+      forwardZoomToTab(tab, zoomIn, lastPointer.x, lastPointer.y);
+    } finally {
+      forwardingSyntheticZoom = false;
+    }
+  }
+
+  webContents
+    .setVisualZoomLevelLimits(1, 3)
+    .catch(() => {
+      // Ignore platforms where visual zoom limits are unsupported.
+    });
+
+  webContents.setZoomFactor(1);
+
+  function handlePinchGestureUpdate() {
+    pinchUpdateQueued = false;
+    const zoomFactor = webContents.getZoomFactor();
+    const zoomIn = zoomFactor > 1.001;
+    const zoomOut = zoomFactor < 0.999;
+
+    if ((zoomIn || zoomOut) && canCanvasZoom(tab.url) && !forwardingSyntheticZoom) {
+      sendCanvasZoomWheel(zoomIn);
+    }
+
+    if (zoomFactor !== 1) {
+      webContents.setZoomFactor(1);
+    }
+  }
+
+  webContents.setWindowOpenHandler(({ url, referrer }) => {
+    if (shouldOpenAuthPopup(url, referrer.url)) {
+      return {
+        action: 'allow',
+        overrideBrowserWindowOptions: buildAuthPopupWindowOptions(getProfilePartition(tab.profileId))
+      };
+    }
 
     if (isFigmaUrl(url)) {
-      const sourceIndex = tabOrder.indexOf(tab.id);
+      const shellWindow = getShellWindowForTab(tab);
+      const sourceIndex = shellWindow ? shellWindow.tabOrder.indexOf(tab.id) : -1;
       createTab({
+        windowId: tab.windowId,
+        profileId: tab.profileId,
         url,
         activate: true,
         insertIndex: sourceIndex >= 0 ? sourceIndex + 1 : null
@@ -1153,13 +2576,28 @@ function trackTabState(tab) {
   });
 
   webContents.on('did-create-window', (authWindow) => {
-    configureAuthPopupWindow(authWindow);
+    configureAuthPopupWindow(authWindow, getProfilePartition(tab.profileId));
   });
 
   webContents.on('will-navigate', (event, url) => {
+    // Tabs never show local files. A Figma page cannot navigate itself to one, so this is a file
+    // dropped where the page does not take drops; `.fig` / `.jam` files go to the import bar.
+    if (url.startsWith('file:')) {
+      event.preventDefault();
+      const shellWindow = getShellWindowForTab(tab);
+      const files = collectDroppedFiles([fileURLToPath(url)], { expandDirectories: false }).filter(
+        (filePath) => getDroppedFileKind(filePath) === 'import'
+      );
+      if (shellWindow && files.length > 0) {
+        openDroppedFiles(shellWindow, files, tab.profileId);
+      }
+      return;
+    }
+
     if (isOAuthUrl(url) && !isOAuthUrl(webContents.getURL())) {
       event.preventDefault();
-      openAuthPopup(url);
+      const shellWindow = getShellWindowForTab(tab);
+      openAuthPopup(url, shellWindow ? shellWindow.browserWindow : null, getProfilePartition(tab.profileId));
       return;
     }
 
@@ -1169,33 +2607,105 @@ function trackTabState(tab) {
     }
   });
 
+  webContents.on('focus', () => {
+    // Clicking into the other split pane makes it the active tab for shortcuts and zoom.
+    const shellWindow = getShellWindowForTab(tab);
+    if (!shellWindow || shellWindow.activeTabId === tab.id || !getVisibleTabIds(shellWindow).includes(tab.id)) {
+      return;
+    }
+
+    shellWindow.activeTabId = tab.id;
+    tab.lastActiveAt = Date.now();
+    emitTabsState(shellWindow);
+    queuePersistTabState();
+  });
+
   webContents.on('page-title-updated', (event, title) => {
     event.preventDefault();
+    // The offline page keeps the title of the page that failed to load.
+    if (isOfflinePageUrl(webContents.getURL())) {
+      return;
+    }
+
     tab.title = title || 'Figma';
-    emitTabsState();
+    emitTabsState(getShellWindowForTab(tab));
     queuePersistTabState();
   });
 
   webContents.on('did-start-loading', () => {
     tab.isLoading = true;
-    emitTabsState();
+    emitTabsState(getShellWindowForTab(tab));
   });
 
   webContents.on('did-stop-loading', () => {
     tab.isLoading = false;
-    tab.url = webContents.getURL() || tab.url;
+    if (!isOfflinePageUrl(webContents.getURL())) {
+      tab.url = webContents.getURL() || tab.url;
+    }
     tab.canGoBack = canGoBackCompat(webContents);
     tab.canGoForward = canGoForwardCompat(webContents);
-    emitTabsState();
+    emitTabsState(getShellWindowForTab(tab));
     queuePersistTabState();
 
   });
 
+  webContents.on('render-process-gone', (_event, details) => {
+    const reason = details && details.reason ? details.reason : 'unknown';
+    if (reason === 'clean-exit') {
+      return;
+    }
+
+    console.warn(
+      `[figmux] Tab renderer gone (${reason}, exit code ${details ? details.exitCode : 'unknown'}): ${tab.url}`
+    );
+    handleTabCrash(tab, reason);
+  });
+
+  webContents.on('unresponsive', () => {
+    console.warn(`[figmux] Tab renderer unresponsive: ${tab.url}`);
+    setTabCrashState(tab, 'unresponsive');
+  });
+
+  webContents.on('responsive', () => {
+    if (tab.crashState === 'unresponsive') {
+      setTabCrashState(tab, null);
+    }
+  });
+
+  webContents.on('page-favicon-updated', (_event, favicons) => {
+    const faviconUrl = (favicons || []).find((candidate) => parseHttpsUrl(candidate));
+    if (faviconUrl) {
+      cacheTabFavicon(tab, faviconUrl);
+    }
+  });
+
+  webContents.on('did-fail-load', (_event, errorCode, errorDescription, validatedURL, isMainFrame) => {
+    if (!isMainFrame || errorCode === NET_ERROR_ABORTED || isOfflinePageUrl(validatedURL)) {
+      return;
+    }
+
+    console.warn(`[figmux] Tab failed to load (${errorDescription}, ${errorCode}): ${validatedURL}`);
+    showTabLoadError(tab, {
+      url: parseHttpsUrl(validatedURL) ? validatedURL : tab.url,
+      errorCode,
+      errorDescription
+    });
+  });
+
   webContents.on('did-navigate', (_event, url) => {
+    if (isOfflinePageUrl(url)) {
+      tab.canGoBack = canGoBackCompat(webContents);
+      tab.canGoForward = canGoForwardCompat(webContents);
+      emitTabsState(getShellWindowForTab(tab));
+      return;
+    }
+
+    tab.loadError = null;
     tab.url = url;
+    closeFindBarOnCanvas(tab);
     tab.canGoBack = canGoBackCompat(webContents);
     tab.canGoForward = canGoForwardCompat(webContents);
-    emitTabsState();
+    emitTabsState(getShellWindowForTab(tab));
     queuePersistTabState();
   });
 
@@ -1203,10 +2713,23 @@ function trackTabState(tab) {
     tab.url = url;
     tab.canGoBack = canGoBackCompat(webContents);
     tab.canGoForward = canGoForwardCompat(webContents);
-    emitTabsState();
+    closeFindBarOnCanvas(tab);
+    emitTabsState(getShellWindowForTab(tab));
     queuePersistTabState();
   });
 
+  webContents.on('found-in-page', (_event, result) => {
+    const shellWindow = getShellWindowForTab(tab);
+    if (!shellWindow || !shellWindow.findBar || shellWindow.findBar.tabId !== tab.id || !result.finalUpdate) {
+      return;
+    }
+
+    shellWindow.browserWindow.webContents.send('find:result', {
+      activeMatchOrdinal: result.activeMatchOrdinal,
+      matches: result.matches
+    });
+  });
+
   webContents.on('input-event', (_event, input) => {
     if (forwardingSyntheticZoom) {
       return;
@@ -1254,141 +2777,765 @@ function trackTabState(tab) {
   });
 
   webContents.on('enter-html-full-screen', () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+    const shellWindow = getShellWindowForTab(tab);
+    if (!shellWindow) {
       return;
     }
 
-    mainWindow.setFullScreen(true);
+    shellWindow.browserWindow.setFullScreen(true);
   });
 
   webContents.on('leave-html-full-screen', () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+    const shellWindow = getShellWindowForTab(tab);
+    if (!shellWindow) {
       return;
     }
 
-    mainWindow.setFullScreen(false);
+    shellWindow.browserWindow.setFullScreen(false);
   });
 }
 
-function updateActiveTabBounds() {
-  if (!mainWindow || mainWindow.isDestroyed() || !activeTabId) {
-    return;
-  }
+function isSplitVisible(shellWindow) {
+  return Boolean(shellWindow.split && shellWindow.split.tabIds.includes(shellWindow.activeTabId));
+}
 
-  const active = tabs.get(activeTabId);
-  if (!active) {
-    return;
+/** Tabs whose views are on screen: the active tab, plus its partner when split view is shown. */
+function getVisibleTabIds(shellWindow) {
+  if (!shellWindow.activeTabId) {
+    return [];
   }
 
-  const [width, height] = mainWindow.getContentSize();
-  const tabY = mainWindow.isFullScreen() ? 0 : TITLEBAR_HEIGHT;
-  active.view.setBounds({
+  return isSplitVisible(shellWindow) ? shellWindow.split.tabIds.slice() : [shellWindow.activeTabId];
+}
+
+function getTabContentBounds(shellWindow) {
+  const { browserWindow } = shellWindow;
+  const [width, height] = browserWindow.getContentSize();
+  // The find and import bars sit between the titlebar and the page, so the page moves down while they are open.
+  const tabY =
+    (browserWindow.isFullScreen() ? 0 : TITLEBAR_HEIGHT) +
+    (shellWindow.findBar ? FIND_BAR_HEIGHT : 0) +
+    (shellWindow.importFiles.length > 0 ? IMPORT_BAR_HEIGHT : 0);
+  return {
     x: 0,
     y: tabY,
     width,
     height: Math.max(0, height - tabY)
-  });
+  };
 }
 
-function queueActiveTabBoundsSync() {
-  updateActiveTabBounds();
-  setTimeout(() => {
-    updateActiveTabBounds();
-  }, 0);
-}
+function getSplitLayout(contentBounds, { isStacked, ratio }) {
+  const length = isStacked ? contentBounds.height : contentBounds.width;
+  const first = Math.round(Math.max(0, length - SPLIT_DIVIDER_SIZE) * ratio);
+  const second = Math.max(0, length - first - SPLIT_DIVIDER_SIZE);
+  const { x, y, width, height } = contentBounds;
 
-function focusActiveTabWebContents() {
-  if (!mainWindow || mainWindow.isDestroyed() || !activeTabId) {
-    return;
+  if (isStacked) {
+    return {
+      panes: [
+        { x, y, width, height: first },
+        { x, y: y + first + SPLIT_DIVIDER_SIZE, width, height: second }
+      ],
+      divider: { x, y: y + first, width, height: SPLIT_DIVIDER_SIZE }
+    };
   }
 
-  const active = tabs.get(activeTabId);
-  if (!active) {
-    return;
-  }
+  return {
+    panes: [
+      { x, y, width: first, height },
+      { x: x + first + SPLIT_DIVIDER_SIZE, y, width: second, height }
+    ],
+    divider: { x: x + first, y, width: SPLIT_DIVIDER_SIZE, height }
+  };
+}
 
-  setTimeout(() => {
-    if (!mainWindow || mainWindow.isDestroyed() || active.view.webContents.isDestroyed()) {
-      return;
+function findVisibleTabAtPoint(shellWindow, x, y) {
+  for (const tabId of getVisibleTabIds(shellWindow)) {
+    const tab = tabs.get(tabId);
+    if (!tab || !tab.view) {
+      continue;
     }
 
-    if (!mainWindow.isFocused()) {
-      return;
+    const bounds = tab.view.getBounds();
+    if (x >= bounds.x && x < bounds.x + bounds.width && y >= bounds.y && y < bounds.y + bounds.height) {
+      return tab;
     }
+  }
 
-    active.view.webContents.focus();
-  }, 0);
+  return null;
 }
 
-function activateTab(tabId) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
+function emitViewLayout(shellWindow, layout) {
+  if (!shellWindow.shellReady) {
     return;
   }
 
-  const target = tabs.get(tabId);
-  if (!target) {
-    return;
-  }
+  shellWindow.browserWindow.webContents.send('tabs:viewLayout', layout);
+}
 
-  if (activeTabId === tabId) {
-    target.view.webContents.focus();
-    return;
+function isTabFaviconUrl(input) {
+  return typeof input === 'string' && (input.startsWith('data:image/') || Boolean(parseHttpsUrl(input)));
+}
+
+/**
+ * Stores a tab's favicon as a data URL so sleeping and restored tabs keep their icon
+ * without loading the page (or the network being available).
+ */
+async function cacheTabFavicon(tab, faviconUrl) {
+  let favicon = faviconDataUrls.get(faviconUrl);
+  if (!favicon) {
+    try {
+      const response = await session.fromPartition(getProfilePartition(tab.profileId)).fetch(faviconUrl);
+      if (!response.ok) {
+        throw new Error(`Favicon request failed with ${response.status}`);
+      }
+
+      const buffer = Buffer.from(await response.arrayBuffer());
+      if (buffer.length > FAVICON_MAX_BYTES) {
+        throw new Error('Favicon is too large to cache');
+      }
+
+      const contentType = (response.headers.get('content-type') || 'image/png').split(';')[0];
+      if (!contentType.startsWith('image/')) {
+        throw new Error(`Unexpected favicon type ${contentType}`);
+      }
+
+      favicon = `data:${contentType};base64,${buffer.toString('base64')}`;
+      faviconDataUrls.set(faviconUrl, favicon);
+    } catch {
+      favicon = faviconUrl;
+    }
   }
 
-  const previous = tabs.get(activeTabId);
-  if (previous) {
-    mainWindow.contentView.removeChildView(previous.view);
+  if (tabs.get(tab.id) !== tab || tab.favicon === favicon) {
+    return;
   }
 
-  activeTabId = tabId;
-  mainWindow.contentView.addChildView(target.view);
-  updateActiveTabBounds();
-  target.view.webContents.focus();
-  emitTabsState();
+  tab.favicon = favicon;
+  emitTabsState(getShellWindowForTab(tab));
   queuePersistTabState();
 }
 
-function createTab({ url = FIGMA_RECENTS, activate = true, id = nextTabId(), insertIndex = null, title = 'Figma' } = {}) {
-  if (!mainWindow || mainWindow.isDestroyed()) {
-    return null;
-  }
+function isOfflinePageUrl(url) {
+  return typeof url === 'string' && url.startsWith(OFFLINE_PAGE_URL);
+}
 
-  const safeUrl = parseHttpsUrl(url) ? url : FIGMA_HOME;
+function showTabLoadError(tab, loadError) {
+  tab.loadError = loadError;
+  if (!tab.view || tab.view.webContents.isDestroyed()) {
+    return;
+  }
+
+  tab.view.webContents.loadFile(OFFLINE_PAGE_PATH, {
+    query: {
+      url: loadError.url,
+      code: String(loadError.errorCode),
+      description: loadError.errorDescription
+    }
+  });
+  emitTabsState(getShellWindowForTab(tab));
+}
+
+function retryFailedTabs() {
+  for (const tab of tabs.values()) {
+    if (tab.loadError && tab.view && !tab.view.webContents.isDestroyed()) {
+      tab.view.webContents.loadURL(tab.loadError.url);
+    }
+  }
+}
+
+function emitNetworkState(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
+    return;
+  }
+
+  shellWindow.browserWindow.webContents.send('shell:networkState', { isOnline: isNetworkOnline });
+}
+
+function updateNetworkState() {
+  const isOnline = net.isOnline();
+  if (isOnline === isNetworkOnline) {
+    return;
+  }
+
+  isNetworkOnline = isOnline;
+  for (const shellWindow of shellWindows.values()) {
+    emitNetworkState(shellWindow);
+  }
+
+  if (isOnline) {
+    retryFailedTabs();
+    if (isResumeRefreshPending) {
+      refreshStaleTabsAfterResume();
+    }
+  }
+}
+
+/**
+ * Resolves true when Figma answers a request made with a profile's session. The request goes to
+ * figma.com over HTTPS, so a captive portal cannot answer it, and a redirect away from Figma
+ * counts as unreachable.
+ */
+async function probeFigmaConnection(profileId) {
+  try {
+    const response = await session.fromPartition(getProfilePartition(profileId)).fetch(`${FIGMA_HOME}/`, {
+      method: 'HEAD',
+      cache: 'no-store',
+      signal: AbortSignal.timeout(RESUME_PROBE_TIMEOUT_MS)
+    });
+    return isFigmaUrl(response.url) && response.status < 500;
+  } catch {
+    return false;
+  }
+}
+
+/** Resolves false when the tab's renderer does not answer in time. */
+function isTabResponsive(tab) {
+  const { webContents } = tab.view;
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(false), RESUME_PROBE_TIMEOUT_MS);
+    webContents.executeJavaScript('true', true).then(
+      () => {
+        clearTimeout(timer);
+        resolve(true);
+      },
+      () => {
+        clearTimeout(timer);
+        resolve(false);
+      }
+    );
+  });
+}
+
+/**
+ * Checks after a suspend or screen unlock that Figma is reachable, then reloads the tabs that
+ * failed to load or whose renderer stopped answering. Figma reconnects the realtime connection
+ * of the other tabs itself once it can reach its servers. While the network or Figma is still
+ * unreachable, the refresh waits for it instead of reloading tabs into the offline page.
+ * Figma's beforeunload guard still cancels the reload of a tab with unsynced changes.
+ */
+async function refreshStaleTabsAfterResume(attempt = 0) {
+  if (!settings.reloadTabsAfterResume || isRefreshingResumedTabs) {
+    return;
+  }
+
+  clearTimeout(resumeProbeRetryTimer);
+  if (!net.isOnline()) {
+    isResumeRefreshPending = true;
+    return;
+  }
+
+  isResumeRefreshPending = false;
+  isRefreshingResumedTabs = true;
+
+  try {
+    await delay(RESUME_PROBE_DELAY_MS);
+    const candidates = Array.from(tabs.values()).filter(
+      (tab) => tab.view && !tab.view.webContents.isDestroyed() && !tab.crashState && !tab.isLoading
+    );
+    const profileIds = Array.from(new Set(candidates.map((tab) => tab.profileId)));
+    const reachableProfileIds = new Set();
+    await Promise.all(
+      profileIds.map(async (profileId) => {
+        if (await probeFigmaConnection(profileId)) {
+          reachableProfileIds.add(profileId);
+        }
+      })
+    );
+
+    if (reachableProfileIds.size < profileIds.length && attempt < RESUME_PROBE_RETRY_LIMIT) {
+      resumeProbeRetryTimer = setTimeout(() => {
+        refreshStaleTabsAfterResume(attempt + 1);
+      }, RESUME_PROBE_RETRY_INTERVAL_MS);
+    }
+
+    const reachableTabs = candidates.filter((tab) => reachableProfileIds.has(tab.profileId));
+    const loadedTabs = reachableTabs.filter((tab) => !tab.loadError);
+    const responsive = await Promise.all(loadedTabs.map(isTabResponsive));
+    const reloadedTabs = reachableTabs
+      .filter((tab) => tab.loadError || !responsive[loadedTabs.indexOf(tab)])
+      .filter((tab) => tab.view && !tab.view.webContents.isDestroyed());
+
+    for (const tab of reloadedTabs) {
+      if (tab.loadError) {
+        tab.view.webContents.loadURL(tab.loadError.url);
+      } else {
+        tab.view.webContents.reload();
+      }
+    }
+
+    if (reloadedTabs.length > 0) {
+      emitToast({
+        title: 'Tabs Refreshed',
+        message:
+          reloadedTabs.length === 1
+            ? `Reloaded "${reloadedTabs[0].title}", which failed to load or stopped responding while the computer was away.`
+            : `Reloaded ${reloadedTabs.length} tabs that failed to load or stopped responding while the computer was away.`
+      });
+    }
+  } finally {
+    isRefreshingResumedTabs = false;
+  }
+}
+
+function setupPowerMonitor() {
+  powerMonitor.on('resume', () => {
+    refreshStaleTabsAfterResume();
+  });
+  powerMonitor.on('unlock-screen', () => {
+    refreshStaleTabsAfterResume();
+  });
+}
+
+/** Shows the views of the visible tabs unless a shell overlay or a crash panel covers them. */
+function applyTabViewVisibility(shellWindow) {
+  for (const tabId of getVisibleTabIds(shellWindow)) {
+    const tab = tabs.get(tabId);
+    if (tab && tab.view) {
+      tab.view.setVisible(!shellWindow.isOverlayOpen && !tab.crashState);
+    }
+  }
+}
+
+function setTabCrashState(tab, crashState, crashReason = null) {
+  tab.crashState = crashState;
+  tab.crashReason = crashState ? crashReason : null;
+  if (crashState) {
+    tab.isLoading = false;
+  }
+
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow) {
+    return;
+  }
+
+  applyTabViewVisibility(shellWindow);
+  emitTabsState(shellWindow);
+}
 
-  const view = new WebContentsView({
-    webPreferences: buildTabWebPreferences()
+/**
+ * Out-of-memory kills reload on their own, at most CRASH_AUTO_RELOAD_LIMIT times within
+ * CRASH_AUTO_RELOAD_WINDOW_MS so a file that always runs out of memory cannot loop.
+ * Every other crash waits for the user on the crash panel.
+ */
+function handleTabCrash(tab, reason) {
+  const now = Date.now();
+  tab.crashReloadTimes = tab.crashReloadTimes.filter((time) => now - time < CRASH_AUTO_RELOAD_WINDOW_MS);
+
+  if (reason === 'oom' && tab.crashReloadTimes.length < CRASH_AUTO_RELOAD_LIMIT && tab.view) {
+    tab.crashReloadTimes.push(now);
+    console.warn(`[figmux] Reloading tab after running out of memory: ${tab.url}`);
+    tab.view.webContents.reload();
+    return;
+  }
+
+  setTabCrashState(tab, 'crashed', reason);
+}
+
+function updateActiveTabBounds(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.activeTabId) {
+    return;
+  }
+
+  const active = tabs.get(shellWindow.activeTabId);
+  if (!active || !active.view) {
+    return;
+  }
+
+  const contentBounds = getTabContentBounds(shellWindow);
+  if (!isSplitVisible(shellWindow)) {
+    active.view.setBounds(contentBounds);
+    emitViewLayout(shellWindow, {
+      panes: [{ tabId: active.id, bounds: contentBounds }],
+      split: null
+    });
+    return;
+  }
+
+  const { panes, divider } = getSplitLayout(contentBounds, shellWindow.split);
+  shellWindow.split.tabIds.forEach((tabId, index) => {
+    const tab = tabs.get(tabId);
+    if (tab && tab.view) {
+      tab.view.setBounds(panes[index]);
+    }
+  });
+  emitViewLayout(shellWindow, {
+    panes: shellWindow.split.tabIds.map((tabId, index) => ({ tabId, bounds: panes[index] })),
+    split: {
+      isStacked: shellWindow.split.isStacked,
+      contentBounds,
+      divider
+    }
   });
+}
+
+/**
+ * Opens the find bar for the active tab. Canvas pages keep Ctrl+F for Figma's own search, so
+ * this returns false there and the keystroke reaches the page.
+ */
+function openFindBar(shellWindow) {
+  const tab = tabs.get(shellWindow.activeTabId);
+  if (!tab || !tab.view || !shellWindow.shellReady || canCanvasZoom(tab.url)) {
+    return false;
+  }
+
+  const wasOpen = Boolean(shellWindow.findBar);
+  shellWindow.findBar = { tabId: tab.id };
+  if (!wasOpen) {
+    updateActiveTabBounds(shellWindow);
+  }
+  shellWindow.browserWindow.webContents.focus();
+  shellWindow.browserWindow.webContents.send('find:open');
+  return true;
+}
+
+function closeFindBar(shellWindow, { focusTab = true } = {}) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.findBar) {
+    return;
+  }
+
+  const tab = tabs.get(shellWindow.findBar.tabId);
+  if (tab && tab.view && !tab.view.webContents.isDestroyed()) {
+    tab.view.webContents.stopFindInPage('keepSelection');
+  }
+
+  shellWindow.findBar = null;
+  updateActiveTabBounds(shellWindow);
+  shellWindow.browserWindow.webContents.send('find:close');
+  if (focusTab) {
+    focusActiveTabWebContents(shellWindow);
+  }
+}
+
+function closeFindBarOnCanvas(tab) {
+  const shellWindow = getShellWindowForTab(tab);
+  if (shellWindow && shellWindow.findBar && shellWindow.findBar.tabId === tab.id && canCanvasZoom(tab.url)) {
+    closeFindBar(shellWindow, { focusTab: false });
+  }
+}
+
+/**
+ * An empty query clears the highlights. `findNext` starts a new search (Electron's naming), so
+ * stepping through the matches of the same text passes false.
+ */
+function findInActiveTab(shellWindow, { text, forward = true, findNext = false, matchCase = false } = {}) {
+  const tab = shellWindow.findBar ? tabs.get(shellWindow.findBar.tabId) : null;
+  if (!tab || !tab.view || tab.view.webContents.isDestroyed()) {
+    return;
+  }
+
+  if (typeof text !== 'string' || !text) {
+    tab.view.webContents.stopFindInPage('clearSelection');
+    shellWindow.browserWindow.webContents.send('find:result', { activeMatchOrdinal: 0, matches: 0 });
+    return;
+  }
+
+  tab.view.webContents.findInPage(text, { forward, findNext, matchCase });
+}
+
+function queueActiveTabBoundsSync(shellWindow) {
+  updateActiveTabBounds(shellWindow);
+  setTimeout(() => {
+    updateActiveTabBounds(shellWindow);
+  }, 0);
+}
+
+function focusActiveTabWebContents(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.activeTabId) {
+    return;
+  }
+
+  const active = tabs.get(shellWindow.activeTabId);
+  if (!active) {
+    return;
+  }
+
+  setTimeout(() => {
+    const { browserWindow } = shellWindow;
+    if (browserWindow.isDestroyed() || !active.view || active.view.webContents.isDestroyed()) {
+      return;
+    }
+
+    if (!browserWindow.isFocused() || active.windowId !== shellWindow.id) {
+      return;
+    }
+
+    active.view.webContents.focus();
+  }, 0);
+}
+
+function activateTab(tabId) {
+  const target = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(target);
+  if (!shellWindow) {
+    return;
+  }
+
+  const targetGroup = target.groupId ? shellWindow.groups.get(target.groupId) : null;
+  if (targetGroup && targetGroup.isCollapsed) {
+    targetGroup.isCollapsed = false;
+    emitTabsState(shellWindow);
+  }
+
+  if (shellWindow.activeTabId === tabId && target.view) {
+    target.view.webContents.focus();
+    return;
+  }
+
+  const previous = tabs.get(shellWindow.activeTabId);
+  if (previous) {
+    previous.lastActiveAt = Date.now();
+  }
+
+  if (shellWindow.findBar && shellWindow.findBar.tabId !== tabId) {
+    closeFindBar(shellWindow, { focusTab: false });
+  }
+
+  const previousVisibleTabIds = getVisibleTabIds(shellWindow);
+  shellWindow.activeTabId = tabId;
+  const visibleTabIds = getVisibleTabIds(shellWindow);
+  for (const previousTabId of previousVisibleTabIds) {
+    const previousTab = tabs.get(previousTabId);
+    if (!visibleTabIds.includes(previousTabId) && previousTab && previousTab.view) {
+      shellWindow.browserWindow.contentView.removeChildView(previousTab.view);
+    }
+  }
+
+  for (const visibleTabId of visibleTabIds) {
+    const visibleTab = tabs.get(visibleTabId);
+    if (!visibleTab) {
+      continue;
+    }
+
+    // Discarded and not-yet-loaded tabs get their page back on activation.
+    ensureTabView(visibleTab);
+    visibleTab.lastActiveAt = Date.now();
+    shellWindow.browserWindow.contentView.addChildView(visibleTab.view);
+  }
+  applyTabViewVisibility(shellWindow);
+  updateActiveTabBounds(shellWindow);
+  target.view.webContents.focus();
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+function createTab({
+  windowId = null,
+  profileId = DEFAULT_PROFILE_ID,
+  isPinned = false,
+  groupId = null,
+  url = FIGMA_RECENTS,
+  activate = true,
+  lazy = false,
+  id = nextTabId(),
+  insertIndex = null,
+  title = 'Figma',
+  favicon = null
+} = {}) {
+  const shellWindow = windowId === null ? getPrimaryShellWindow() : shellWindows.get(windowId);
+  if (!isShellWindowAlive(shellWindow)) {
+    return null;
+  }
+
+  const safeUrl = parseHttpsUrl(url) ? url : FIGMA_HOME;
+  const profile = getProfile(profileId);
 
   const tab = {
     id,
-    view,
+    windowId: shellWindow.id,
+    profileId: profile.id,
+    view: null,
     title,
     url: safeUrl,
+    isPinned: Boolean(isPinned),
+    groupId: !isPinned && groupId && shellWindow.groups.has(groupId) ? groupId : null,
     isLoading: false,
     canGoBack: false,
-    canGoForward: false
+    canGoForward: false,
+    lastActiveAt: Date.now(),
+    favicon,
+    crashState: null,
+    crashReason: null,
+    crashReloadTimes: [],
+    loadError: null
   };
 
   tabs.set(id, tab);
-  if (typeof insertIndex === 'number' && Number.isInteger(insertIndex)) {
-    const safeInsertIndex = Math.max(0, Math.min(insertIndex, tabOrder.length));
-    tabOrder.splice(safeInsertIndex, 0, id);
-  } else {
-    tabOrder.push(id);
+  insertTabIntoWindow(shellWindow, id, insertIndex);
+  if (Number.isInteger(insertIndex)) {
+    syncTabGroupWithNeighbours(shellWindow, tab);
   }
-  trackTabState(tab);
 
-  if (activate || !activeTabId) {
+  if (activate || !shellWindow.activeTabId) {
     activateTab(id);
+  } else if (!lazy) {
+    ensureTabView(tab);
   }
 
-  view.webContents.loadURL(safeUrl);
-  emitTabsState();
+  emitTabsState(shellWindow);
   queuePersistTabState();
   return id;
 }
 
-function closeTab(tabId) {
+/**
+ * Creates and loads the WebContentsView of a tab that has none yet, either because it was
+ * restored lazily or because it was discarded while idle.
+ */
+function ensureTabView(tab) {
+  if (tab.view) {
+    return tab.view;
+  }
+
+  tab.view = new WebContentsView({
+    webPreferences: buildTabWebPreferences(getProfilePartition(tab.profileId))
+  });
+  tab.crashState = null;
+  tab.crashReason = null;
+  trackTabState(tab);
+  tab.view.webContents.loadURL(tab.url);
+  return tab.view;
+}
+
+/**
+ * Frees the WebContents of an inactive tab while keeping its entry, title and URL in the
+ * strip. Pages with a beforeunload guard (e.g. unsynced Figma changes) are left alone.
+ */
+function discardTab(tabId) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (
+    !shellWindow ||
+    !tab.view ||
+    getVisibleTabIds(shellWindow).includes(tabId) ||
+    discardingTabIds.has(tabId)
+  ) {
+    return false;
+  }
+
+  const { view } = tab;
+  const { webContents } = view;
+  if (webContents.isDestroyed()) {
+    tab.view = null;
+    emitTabsState(shellWindow);
+    return true;
+  }
+
+  const handleDestroyed = () => {
+    webContents.removeListener('will-prevent-unload', handlePreventUnload);
+    discardingTabIds.delete(tabId);
+    if (tab.view !== view) {
+      return;
+    }
+
+    tab.view = null;
+    tab.isLoading = false;
+    tab.canGoBack = false;
+    tab.canGoForward = false;
+
+    const currentShellWindow = getShellWindowForTab(tab);
+    if (!currentShellWindow) {
+      return;
+    }
+
+    // The tab may have been shown while its page was unloading.
+    if (getVisibleTabIds(currentShellWindow).includes(tabId)) {
+      const { activeTabId } = currentShellWindow;
+      currentShellWindow.browserWindow.contentView.removeChildView(view);
+      currentShellWindow.activeTabId = null;
+      activateTab(activeTabId);
+      return;
+    }
+
+    emitTabsState(currentShellWindow);
+  };
+  const handlePreventUnload = () => {
+    webContents.removeListener('destroyed', handleDestroyed);
+    discardingTabIds.delete(tabId);
+  };
+
+  discardingTabIds.add(tabId);
+  webContents.once('destroyed', handleDestroyed);
+  webContents.once('will-prevent-unload', handlePreventUnload);
+  webContents.close({ waitForBeforeUnload: true });
+  return true;
+}
+
+function discardIdleTabs() {
+  const idleMs = settings.tabHibernationMinutes * 60 * 1000;
+  if (!(idleMs > 0)) {
+    return;
+  }
+
+  const now = Date.now();
+  for (const tab of tabs.values()) {
+    if (tab.view && now - tab.lastActiveAt >= idleMs) {
+      discardTab(tab.id);
+    }
+  }
+}
+
+function formatHibernationOption(minutes) {
+  if (minutes === 0) {
+    return 'Never';
+  }
+
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `After ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+  }
+
+  return `After ${minutes} minutes`;
+}
+
+function insertTabIntoWindow(shellWindow, tabId, insertIndex = null) {
+  const { tabOrder } = shellWindow;
+  const tab = tabs.get(tabId);
+  const pinnedCount = countPinnedTabs(shellWindow);
+  const minIndex = tab && tab.isPinned ? 0 : pinnedCount;
+  const maxIndex = tab && tab.isPinned ? pinnedCount : tabOrder.length;
+  const requestedIndex = Number.isInteger(insertIndex) ? insertIndex : maxIndex;
+  tabOrder.splice(Math.max(minIndex, Math.min(requestedIndex, maxIndex)), 0, tabId);
+}
+
+/**
+ * Removes a tab from its window's strip without touching its WebContents, activating a
+ * neighbour when it was the active tab. Returns the index the tab occupied.
+ */
+function removeTabFromWindow(shellWindow, tab) {
+  if (shellWindow.split && shellWindow.split.tabIds.includes(tab.id)) {
+    closeSplitView(shellWindow);
+  }
+
+  const { tabOrder } = shellWindow;
+  const tabIndex = tabOrder.indexOf(tab.id);
+  if (tabIndex >= 0) {
+    tabOrder.splice(tabIndex, 1);
+  }
+
+  const isActive = shellWindow.activeTabId === tab.id;
+  if (isActive) {
+    if (tab.view) {
+      shellWindow.browserWindow.contentView.removeChildView(tab.view);
+    }
+    shellWindow.activeTabId = null;
+  }
+  pruneEmptyTabGroups(shellWindow);
+
+  if (tabOrder.length === 0) {
+    return tabIndex;
+  }
+
+  if (isActive) {
+    const nextIndex = Math.min(Math.max(tabIndex, 0), tabOrder.length - 1);
+    activateTab(tabOrder[nextIndex]);
+  } else {
+    emitTabsState(shellWindow);
+  }
+
+  return tabIndex;
+}
+
+function closeTab(tabId, { confirmPinned = true } = {}) {
   if (!tabId) {
     return;
   }
@@ -1398,227 +3545,2623 @@ function closeTab(tabId) {
     return;
   }
 
+  if (tab.isPinned && confirmPinned) {
+    confirmClosePinnedTab(tab).then((confirmed) => {
+      if (confirmed) {
+        closeTab(tabId, { confirmPinned: false });
+      }
+    });
+    return;
+  }
+
+  const shellWindow = getShellWindowForTab(tab);
   emitTabWillClose(tabId);
 
-  const tabIndex = tabOrder.indexOf(tabId);
-  if (tabIndex >= 0) {
-    rememberClosedTab({
+  if (shellWindow) {
+    const tabIndex = removeTabFromWindow(shellWindow, tab);
+    if (tabIndex >= 0) {
+      rememberClosedTab({
+        url: tab.url,
+        title: tab.title,
+        index: tabIndex,
+        profileId: tab.profileId
+      });
+    }
+  }
+
+  tabs.delete(tabId);
+  discardingTabIds.delete(tabId);
+  if (tab.view && !tab.view.webContents.isDestroyed()) {
+    tab.view.webContents.destroy();
+  }
+
+  if (shellWindow && shellWindow.tabOrder.length === 0) {
+    // Secondary windows go away with their last tab; the last window keeps a fresh tab.
+    if (shellWindows.size > 1) {
+      shellWindow.browserWindow.close();
+      return;
+    }
+
+    createTab({ windowId: shellWindow.id, url: FIGMA_RECENTS, activate: true });
+    return;
+  }
+
+  queuePersistTabState();
+}
+
+function duplicateTab(tabId) {
+  const tab = tabs.get(tabId);
+  const shellWindow = getShellWindowForTab(tab);
+  if (!shellWindow) {
+    return null;
+  }
+
+  return createTab({
+    windowId: shellWindow.id,
+    url: tab.url,
+    title: tab.title,
+    profileId: tab.profileId,
+    groupId: tab.groupId,
+    insertIndex: shellWindow.tabOrder.indexOf(tabId) + 1,
+    activate: true
+  });
+}
+
+/** Closes several tabs of one window; pinned tabs are kept, and every closed tab can be reopened. */
+function closeTabs(tabIds) {
+  for (const tabId of tabIds) {
+    const tab = tabs.get(tabId);
+    if (tab && !tab.isPinned) {
+      closeTab(tabId);
+    }
+  }
+}
+
+function closeOtherTabs(tabId) {
+  const shellWindow = getShellWindowForTab(tabs.get(tabId));
+  if (!shellWindow) {
+    return;
+  }
+
+  activateTab(tabId);
+  closeTabs(shellWindow.tabOrder.filter((otherTabId) => otherTabId !== tabId));
+}
+
+function closeTabsToRight(tabId) {
+  const shellWindow = getShellWindowForTab(tabs.get(tabId));
+  if (!shellWindow) {
+    return;
+  }
+
+  closeTabs(shellWindow.tabOrder.slice(shellWindow.tabOrder.indexOf(tabId) + 1));
+}
+
+/**
+ * Moves a live tab into another window, keeping its WebContents (and the loaded Figma
+ * document) intact. The source window closes once its last tab has left.
+ */
+function moveTabToWindow(tabId, targetShellWindow, targetIndex = null) {
+  const tab = tabs.get(tabId);
+  const sourceShellWindow = getShellWindowForTab(tab);
+  if (!sourceShellWindow || !isShellWindowAlive(targetShellWindow)) {
+    return false;
+  }
+
+  if (sourceShellWindow === targetShellWindow) {
+    return Number.isInteger(targetIndex) ? moveTab(tabId, targetIndex) : false;
+  }
+
+  removeTabFromWindow(sourceShellWindow, tab);
+  // Groups belong to a window, so a tab arriving from elsewhere starts ungrouped.
+  tab.windowId = targetShellWindow.id;
+  tab.groupId = null;
+  insertTabIntoWindow(targetShellWindow, tabId, targetIndex);
+  syncTabGroupWithNeighbours(targetShellWindow, tab);
+  activateTab(tabId);
+  focusShellWindow(targetShellWindow);
+
+  if (sourceShellWindow.tabOrder.length === 0) {
+    sourceShellWindow.browserWindow.close();
+  }
+
+  queuePersistTabState();
+  return true;
+}
+
+function detachTabToNewWindow(tabId, screenPoint = null) {
+  const tab = tabs.get(tabId);
+  const sourceShellWindow = getShellWindowForTab(tab);
+  if (!sourceShellWindow || sourceShellWindow.tabOrder.length < 2) {
+    return null;
+  }
+
+  const sourceBounds = sourceShellWindow.browserWindow.getBounds();
+  const bounds = { width: sourceBounds.width, height: sourceBounds.height };
+  if (screenPoint) {
+    bounds.x = Math.round(screenPoint.x - TORN_OFF_WINDOW_POINTER_OFFSET_X);
+    bounds.y = Math.round(screenPoint.y - TITLEBAR_HEIGHT / 2);
+  } else {
+    bounds.x = sourceBounds.x + TORN_OFF_WINDOW_CASCADE_OFFSET;
+    bounds.y = sourceBounds.y + TORN_OFF_WINDOW_CASCADE_OFFSET;
+  }
+
+  const targetShellWindow = createShellWindow({ bounds });
+  moveTabToWindow(tabId, targetShellWindow);
+  return targetShellWindow;
+}
+
+function reloadTab(tabId) {
+  const tab = tabs.get(tabId);
+  if (!tab) {
+    return;
+  }
+
+  if (!tab.view) {
+    activateTab(tabId);
+    return;
+  }
+
+  if (tab.view.webContents.isDestroyed()) {
+    return;
+  }
+
+  if (tab.crashState) {
+    setTabCrashState(tab, null);
+  }
+  // Reloading the offline page would only show it again, so retry the page that failed.
+  if (tab.loadError) {
+    tab.view.webContents.loadURL(tab.loadError.url);
+  } else {
+    tab.view.webContents.reload();
+  }
+  activateTab(tabId);
+}
+
+function cycleTabs(shellWindow, reverse) {
+  if (!shellWindow || shellWindow.tabOrder.length < 2 || !shellWindow.activeTabId) {
+    return;
+  }
+
+  const { tabOrder } = shellWindow;
+  const currentIndex = tabOrder.indexOf(shellWindow.activeTabId);
+  if (currentIndex < 0) {
+    return;
+  }
+
+  const offset = reverse ? -1 : 1;
+  const nextIndex = (currentIndex + offset + tabOrder.length) % tabOrder.length;
+  activateTab(tabOrder[nextIndex]);
+}
+
+/**
+ * Shows `secondaryTabId` next to `primaryTabId`. The pair stays linked while either tab is
+ * switched away from, so activating one of them brings the split view back.
+ */
+function openSplitView(shellWindow, primaryTabId, secondaryTabId) {
+  if (
+    !isShellWindowAlive(shellWindow) ||
+    primaryTabId === secondaryTabId ||
+    !shellWindow.tabOrder.includes(primaryTabId) ||
+    !shellWindow.tabOrder.includes(secondaryTabId)
+  ) {
+    return;
+  }
+
+  closeSplitView(shellWindow);
+  detachVisibleTabs(shellWindow);
+  shellWindow.split = { tabIds: [primaryTabId, secondaryTabId], isStacked: false, ratio: 0.5 };
+  activateTab(secondaryTabId);
+}
+
+/** Takes the shown views out of the window so the next activateTab lays them out afresh. */
+function detachVisibleTabs(shellWindow) {
+  for (const tabId of getVisibleTabIds(shellWindow)) {
+    const tab = tabs.get(tabId);
+    if (tab && tab.view) {
+      shellWindow.browserWindow.contentView.removeChildView(tab.view);
+    }
+  }
+  shellWindow.activeTabId = null;
+}
+
+function closeSplitView(shellWindow) {
+  if (!shellWindow.split) {
+    return;
+  }
+
+  const wasVisible = isSplitVisible(shellWindow);
+  const { tabIds } = shellWindow.split;
+  shellWindow.split = null;
+  if (wasVisible) {
+    for (const tabId of tabIds) {
+      const tab = tabs.get(tabId);
+      if (tabId !== shellWindow.activeTabId && tab && tab.view) {
+        shellWindow.browserWindow.contentView.removeChildView(tab.view);
+      }
+    }
+    updateActiveTabBounds(shellWindow);
+  }
+
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+function updateSplitView(shellWindow, changes) {
+  if (!shellWindow.split) {
+    return;
+  }
+
+  const { split } = shellWindow;
+  if (changes.swap) {
+    split.tabIds.reverse();
+  }
+  if (typeof changes.isStacked === 'boolean') {
+    split.isStacked = changes.isStacked;
+  }
+  if (Number.isFinite(changes.ratio)) {
+    split.ratio = Math.max(SPLIT_MIN_RATIO, Math.min(changes.ratio, SPLIT_MAX_RATIO));
+  }
+
+  updateActiveTabBounds(shellWindow);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+function buildSplitViewMenuItems(shellWindow, tabId, previousActiveTabId) {
+  const { split } = shellWindow;
+  if (split && split.tabIds.includes(tabId)) {
+    return [
+      {
+        label: 'Swap split panes',
+        click: () => {
+          updateSplitView(shellWindow, { swap: true });
+        }
+      },
+      {
+        label: split.isStacked ? 'Show panes side by side' : 'Stack panes vertically',
+        click: () => {
+          updateSplitView(shellWindow, { isStacked: !split.isStacked });
+        }
+      },
+      {
+        label: 'Exit split view',
+        click: () => {
+          closeSplitView(shellWindow);
+        }
+      }
+    ];
+  }
+
+  const otherTabIds = shellWindow.tabOrder.filter((otherTabId) => otherTabId !== tabId);
+  return [
+    {
+      label: 'Split view with',
+      enabled: otherTabIds.length > 0,
+      submenu: otherTabIds.map((otherTabId) => {
+        const otherTab = tabs.get(otherTabId);
+        return {
+          label: otherTabId === previousActiveTabId ? `${otherTab.title} (previous tab)` : otherTab.title,
+          click: () => {
+            openSplitView(shellWindow, otherTabId, tabId);
+          }
+        };
+      })
+    }
+  ];
+}
+
+function parseSavedWindowBounds(input) {
+  if (!input || typeof input !== 'object') {
+    return null;
+  }
+
+  const { x, y, width, height } = input;
+  if (![width, height].every((value) => Number.isFinite(value) && value > 0)) {
+    return null;
+  }
+
+  const bounds = {
+    width: Math.max(WINDOW_MIN_WIDTH, Math.round(width)),
+    height: Math.max(WINDOW_MIN_HEIGHT, Math.round(height))
+  };
+
+  if (Number.isFinite(x) && Number.isFinite(y)) {
+    bounds.x = Math.round(x);
+    bounds.y = Math.round(y);
+  }
+
+  return bounds;
+}
+
+function isBoundsOnScreen(bounds) {
+  return screen.getAllDisplays().some(({ workArea }) => (
+    bounds.x < workArea.x + workArea.width &&
+    bounds.x + bounds.width > workArea.x &&
+    bounds.y < workArea.y + workArea.height &&
+    bounds.y + bounds.height > workArea.y
+  ));
+}
+
+function parseSavedWindowState(entry) {
+  if (!entry || !Array.isArray(entry.tabs)) {
+    return null;
+  }
+
+  const restoredTabs = [];
+  for (const tabEntry of entry.tabs) {
+    if (!tabEntry || typeof tabEntry.id !== 'string' || typeof tabEntry.url !== 'string') {
+      continue;
+    }
+
+    if (!canRestoreUrl(tabEntry.url)) {
+      continue;
+    }
+
+    restoredTabs.push({
+      id: tabEntry.id,
+      url: tabEntry.url,
+      title: typeof tabEntry.title === 'string' && tabEntry.title ? tabEntry.title : undefined,
+      profileId: typeof tabEntry.profileId === 'string' ? tabEntry.profileId : DEFAULT_PROFILE_ID,
+      isPinned: tabEntry.isPinned === true,
+      groupId: typeof tabEntry.groupId === 'string' ? tabEntry.groupId : null,
+      favicon: isTabFaviconUrl(tabEntry.favicon) ? tabEntry.favicon : null
+    });
+
+    const suffix = Number(tabEntry.id.replace('tab-', ''));
+    if (Number.isFinite(suffix)) {
+      tabIdCounter = Math.max(tabIdCounter, suffix);
+    }
+  }
+
+  const restoredGroups = [];
+  for (const groupEntry of Array.isArray(entry.groups) ? entry.groups : []) {
+    if (!groupEntry || typeof groupEntry.id !== 'string') {
+      continue;
+    }
+
+    restoredGroups.push({
+      id: groupEntry.id,
+      name: typeof groupEntry.name === 'string' ? groupEntry.name : '',
+      color: getTabGroupColor(groupEntry.color).id,
+      isCollapsed: groupEntry.isCollapsed === true
+    });
+
+    const suffix = Number(groupEntry.id.replace('group-', ''));
+    if (Number.isFinite(suffix)) {
+      groupIdCounter = Math.max(groupIdCounter, suffix);
+    }
+  }
+
+  return {
+    bounds: parseSavedWindowBounds(entry.bounds),
+    isMaximized: entry.isMaximized === true,
+    groups: restoredGroups,
+    activeTabId: typeof entry.activeTabId === 'string' ? entry.activeTabId : null,
+    workspaceId: typeof entry.workspaceId === 'string' ? entry.workspaceId : null,
+    split: parseSavedSplit(entry.split, restoredTabs),
+    tabs: restoredTabs
+  };
+}
+
+function parseSavedSplit(input, restoredTabs) {
+  if (!input || !Array.isArray(input.tabIds) || input.tabIds.length !== 2) {
+    return null;
+  }
+
+  const [primaryTabId, secondaryTabId] = input.tabIds;
+  if (
+    primaryTabId === secondaryTabId ||
+    !restoredTabs.some((tab) => tab.id === primaryTabId) ||
+    !restoredTabs.some((tab) => tab.id === secondaryTabId)
+  ) {
+    return null;
+  }
+
+  return {
+    tabIds: [primaryTabId, secondaryTabId],
+    isStacked: input.isStacked === true,
+    ratio: Number.isFinite(input.ratio) ? Math.max(SPLIT_MIN_RATIO, Math.min(input.ratio, SPLIT_MAX_RATIO)) : 0.5
+  };
+}
+
+/** Each entry upgrades a tab state file from the version at its index to the next one. */
+const TAB_STATE_MIGRATIONS = [
+  // Files written before multi-window support hold a single window's tabs at the top level.
+  (state) => ({ windows: [state] }),
+  (state) => ({ windows: state.windows })
+];
+
+function getTabStateFileVersion(state) {
+  if (Number.isInteger(state.version)) {
+    return state.version;
+  }
+
+  return Array.isArray(state.windows) ? 1 : 0;
+}
+
+function migrateTabState(state) {
+  let migrated = state;
+  for (let version = getTabStateFileVersion(state); version < TAB_STATE_VERSION; version += 1) {
+    migrated = TAB_STATE_MIGRATIONS[version](migrated);
+  }
+
+  return migrated;
+}
+
+/** Returns null when the file is missing, unreadable or holds no usable window. */
+function readTabStateFile(filePath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object') {
+      return null;
+    }
+
+    // Files from a newer Figmux are read as they are; unknown fields are ignored.
+    const state = migrateTabState(parsed);
+    const windows = (Array.isArray(state.windows) ? state.windows : []).map(parseSavedWindowState).filter(Boolean);
+    if (windows.length === 0) {
+      return null;
+    }
+
+    return { windows, savedAt: typeof parsed.savedAt === 'number' ? parsed.savedAt : 0 };
+  } catch {
+    return null;
+  }
+}
+
+function findTabStateBackup() {
+  for (let index = 1; index <= TAB_STATE_BACKUP_COUNT; index += 1) {
+    const state = readTabStateFile(getTabStateBackupPath(index));
+    if (state) {
+      return state;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A missing file starts a fresh session. An unreadable one is kept aside as `.corrupt` and
+ * the user is offered the newest readable backup instead of silently losing their tabs.
+ */
+function loadSavedTabState() {
+  const statePath = getTabStatePath();
+  if (!fs.existsSync(statePath)) {
+    return null;
+  }
+
+  const state = readTabStateFile(statePath);
+  if (state) {
+    return state;
+  }
+
+  console.warn('[figmux] Saved tab state is unreadable; looking for a backup.');
+  try {
+    fs.copyFileSync(statePath, `${statePath}.corrupt`);
+  } catch {
+    // Keeping the broken file is only a courtesy for debugging.
+  }
+
+  const backup = findTabStateBackup();
+  if (!backup) {
+    return null;
+  }
+
+  const savedAt = backup.savedAt ? ` saved on ${new Date(backup.savedAt).toLocaleString()}` : '';
+  const response = dialog.showMessageBoxSync({
+    type: 'warning',
+    title: 'Restore Previous Session',
+    message: 'Your open tabs could not be restored.',
+    detail: `The saved session file is damaged. Figmux can restore the previous session${savedAt} instead.`,
+    buttons: ['Restore Previous Session', 'Start Fresh'],
+    defaultId: 0,
+    cancelId: 1,
+    noLink: true
+  });
+
+  return response === 0 ? backup : null;
+}
+
+function restoreSession() {
+  const state = loadSavedTabState();
+  const windowStates = state ? state.windows.filter((windowState) => windowState.tabs.length > 0) : [];
+  if (windowStates.length === 0) {
+    const shellWindow = createShellWindow();
+    createTab({ windowId: shellWindow.id, url: FIGMA_RECENTS, activate: true });
+    return;
+  }
+
+  for (const windowState of windowStates) {
+    const shellWindow = createShellWindow({
+      bounds: windowState.bounds,
+      isMaximized: windowState.isMaximized
+    });
+
+    shellWindow.workspaceId = workspaces.some((workspace) => workspace.id === windowState.workspaceId)
+      ? windowState.workspaceId
+      : null;
+    for (const group of windowState.groups) {
+      shellWindow.groups.set(group.id, group);
+    }
+
+    for (const tabEntry of windowState.tabs) {
+      if (tabs.has(tabEntry.id)) {
+        continue;
+      }
+      createTab({
+        windowId: shellWindow.id,
+        id: tabEntry.id,
+        url: tabEntry.url,
+        profileId: tabEntry.profileId,
+        isPinned: tabEntry.isPinned,
+        groupId: tabEntry.groupId,
+        title: tabEntry.title,
+        favicon: tabEntry.favicon,
+        activate: false,
+        lazy: true
+      });
+    }
+    pruneEmptyTabGroups(shellWindow);
+    if (
+      windowState.split &&
+      windowState.split.tabIds.every((tabId) => shellWindow.tabOrder.includes(tabId))
+    ) {
+      detachVisibleTabs(shellWindow);
+      shellWindow.split = windowState.split;
+    }
+
+    if (windowState.activeTabId && shellWindow.tabOrder.includes(windowState.activeTabId)) {
+      activateTab(windowState.activeTabId);
+    } else if (shellWindow.tabOrder.length > 0) {
+      activateTab(shellWindow.tabOrder[0]);
+    } else {
+      createTab({ windowId: shellWindow.id, url: FIGMA_RECENTS, activate: true });
+    }
+  }
+}
+
+function getDownloadsPath() {
+  return path.join(app.getPath('userData'), DOWNLOADS_FILE);
+}
+
+function loadDownloads() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getDownloadsPath(), 'utf8'));
+    for (const entry of Array.isArray(parsed && parsed.downloads) ? parsed.downloads : []) {
+      if (!entry || typeof entry.filename !== 'string' || typeof entry.savePath !== 'string') {
+        continue;
+      }
+
+      downloadIdCounter += 1;
+      downloads.push({
+        id: `download-${downloadIdCounter}`,
+        filename: entry.filename,
+        url: typeof entry.url === 'string' ? entry.url : '',
+        partition: typeof entry.partition === 'string' ? entry.partition : PERSISTENT_PARTITION,
+        savePath: entry.savePath,
+        // Downloads still running when the app quit cannot be resumed.
+        state: entry.state === 'completed' || entry.state === 'cancelled' ? entry.state : 'interrupted',
+        isPaused: false,
+        receivedBytes: Number.isFinite(entry.receivedBytes) ? entry.receivedBytes : 0,
+        totalBytes: Number.isFinite(entry.totalBytes) ? entry.totalBytes : 0,
+        startedAt: typeof entry.startedAt === 'number' ? entry.startedAt : 0
+      });
+    }
+  } catch {
+    // Missing or unreadable history starts empty.
+  }
+}
+
+function persistDownloads() {
+  try {
+    fs.writeFileSync(getDownloadsPath(), JSON.stringify({ downloads }), 'utf8');
+  } catch {
+    // Persistence failures should never crash the app.
+  }
+}
+
+function getDownloadDirectory() {
+  if (settings.downloadDirectory && fs.existsSync(settings.downloadDirectory)) {
+    return settings.downloadDirectory;
+  }
+
+  return app.getPath('downloads');
+}
+
+/** Appends ` (1)`, ` (2)`, … before the extension until the name is free. */
+function getUniqueDownloadPath(directory, filename) {
+  const extension = path.extname(filename);
+  const baseName = path.basename(filename, extension);
+  let candidate = path.join(directory, filename);
+  for (let suffix = 1; fs.existsSync(candidate); suffix += 1) {
+    candidate = path.join(directory, `${baseName} (${suffix})${extension}`);
+  }
+  return candidate;
+}
+
+function isRetryableDownloadUrl(url) {
+  return Boolean(parseHttpsUrl(url));
+}
+
+function toDownloadSnapshot(entry) {
+  const item = downloadItems.get(entry.id);
+  return {
+    id: entry.id,
+    filename: entry.filename,
+    state: entry.state,
+    isPaused: entry.isPaused,
+    receivedBytes: entry.receivedBytes,
+    totalBytes: entry.totalBytes,
+    startedAt: entry.startedAt,
+    canRetry:
+      entry.state !== 'progressing' &&
+      entry.state !== 'completed' &&
+      ((item && item.canResume()) || isRetryableDownloadUrl(entry.url)),
+    fileExists: entry.state === 'completed' && fs.existsSync(entry.savePath)
+  };
+}
+
+/**
+ * Sends the download list to every shell and mirrors the combined progress of running downloads
+ * on the taskbar. Progress events are coalesced to one update per DOWNLOAD_PROGRESS_EMIT_INTERVAL_MS.
+ */
+function emitDownloadsState({ immediate = false } = {}) {
+  if (!immediate) {
+    if (!downloadsEmitTimer) {
+      downloadsEmitTimer = setTimeout(() => emitDownloadsState({ immediate: true }), DOWNLOAD_PROGRESS_EMIT_INTERVAL_MS);
+    }
+    return;
+  }
+
+  clearTimeout(downloadsEmitTimer);
+  downloadsEmitTimer = null;
+
+  const running = downloads.filter((entry) => entry.state === 'progressing');
+  const totalBytes = running.reduce((sum, entry) => sum + entry.totalBytes, 0);
+  const receivedBytes = running.reduce((sum, entry) => sum + entry.receivedBytes, 0);
+  // Unknown sizes show an indeterminate bar; a value above 1 means indeterminate to Electron.
+  const progress =
+    running.length === 0 ? -1 : running.some((entry) => !entry.totalBytes) ? 2 : receivedBytes / totalBytes;
+  const snapshot = {
+    progress: running.length > 0 ? Math.min(progress, 1) : -1,
+    isIndeterminate: progress > 1,
+    activeCount: running.length,
+    downloads: downloads.map(toDownloadSnapshot).reverse()
+  };
+
+  // Only clear the taskbar progress once, so an update download keeps its own progress bar.
+  const updatesProgressBar = running.length > 0 || hasDownloadProgressBar;
+  hasDownloadProgressBar = running.length > 0;
+  for (const shellWindow of shellWindows.values()) {
+    if (!isShellWindowAlive(shellWindow)) {
+      continue;
+    }
+
+    if (updatesProgressBar) {
+      shellWindow.browserWindow.setProgressBar(progress);
+    }
+    if (shellWindow.shellReady) {
+      shellWindow.browserWindow.webContents.send('downloads:state', snapshot);
+    }
+  }
+}
+
+function trackDownload(item, partition) {
+  const filename = item.getFilename() || 'download';
+  if (settings.askWhereToSaveDownloads) {
+    item.setSaveDialogOptions({ title: 'Save Download', defaultPath: path.join(getDownloadDirectory(), filename) });
+  } else {
+    item.setSavePath(getUniqueDownloadPath(getDownloadDirectory(), filename));
+  }
+
+  downloadIdCounter += 1;
+  const entry = {
+    id: `download-${downloadIdCounter}`,
+    filename,
+    url: item.getURL(),
+    partition,
+    savePath: item.getSavePath(),
+    state: 'progressing',
+    isPaused: false,
+    receivedBytes: 0,
+    totalBytes: item.getTotalBytes(),
+    startedAt: Date.now()
+  };
+  downloads.push(entry);
+  downloads.splice(0, Math.max(0, downloads.length - DOWNLOAD_HISTORY_LIMIT));
+  downloadItems.set(entry.id, item);
+
+  item.on('updated', (_event, state) => {
+    entry.savePath = item.getSavePath() || entry.savePath;
+    entry.filename = path.basename(entry.savePath) || entry.filename;
+    entry.state = state === 'interrupted' ? 'interrupted' : 'progressing';
+    entry.isPaused = item.isPaused();
+    entry.receivedBytes = item.getReceivedBytes();
+    entry.totalBytes = item.getTotalBytes();
+    emitDownloadsState();
+  });
+
+  item.once('done', (_event, state) => {
+    downloadItems.delete(entry.id);
+    entry.savePath = item.getSavePath();
+    entry.isPaused = false;
+    entry.receivedBytes = item.getReceivedBytes();
+    entry.totalBytes = item.getTotalBytes();
+    entry.state = state;
+
+    // Dismissing the save dialog cancels before a path exists; that is not worth keeping.
+    if (state === 'cancelled' && !entry.savePath) {
+      downloads.splice(downloads.indexOf(entry), 1);
+    } else {
+      entry.filename = path.basename(entry.savePath) || entry.filename;
+    }
+
+    if (state === 'completed') {
+      showNativeNotification({ title: 'Download Complete', body: entry.filename });
+    } else if (state === 'interrupted') {
+      console.warn(`[figmux] Download interrupted: ${entry.filename}`);
+    }
+
+    persistDownloads();
+    emitDownloadsState({ immediate: true });
+  });
+
+  persistDownloads();
+  emitDownloadsState({ immediate: true });
+}
+
+function runDownloadAction(downloadId, action) {
+  const entry = downloads.find((candidate) => candidate.id === downloadId);
+  const item = downloadItems.get(downloadId);
+
+  if (action === 'clear') {
+    for (let index = downloads.length - 1; index >= 0; index -= 1) {
+      if (downloads[index].state !== 'progressing') {
+        downloads.splice(index, 1);
+      }
+    }
+  } else if (!entry) {
+    return;
+  } else if (action === 'open') {
+    shell.openPath(entry.savePath).then((errorMessage) => {
+      if (errorMessage) {
+        emitToast({ title: 'Downloads', message: `Could not open ${entry.filename}: ${errorMessage}` });
+      }
+    });
+    return;
+  } else if (action === 'show') {
+    shell.showItemInFolder(entry.savePath);
+    return;
+  } else if (action === 'cancel' && item) {
+    item.cancel();
+    return;
+  } else if (action === 'retry') {
+    if (item && item.canResume()) {
+      item.resume();
+      return;
+    }
+
+    if (!isRetryableDownloadUrl(entry.url)) {
+      return;
+    }
+    // The new download gets its own entry, so the failed one is replaced rather than duplicated.
+    downloads.splice(downloads.indexOf(entry), 1);
+    session.fromPartition(entry.partition).downloadURL(entry.url);
+  } else if (action === 'remove' && !item) {
+    downloads.splice(downloads.indexOf(entry), 1);
+  } else {
+    return;
+  }
+
+  persistDownloads();
+  emitDownloadsState({ immediate: true });
+}
+
+async function toggleDownloadsPanel(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
+    return;
+  }
+
+  if (shellWindow.isOverlayOpen) {
+    closeShellOverlay(shellWindow);
+    return;
+  }
+
+  const backdrop = await openShellOverlay(shellWindow);
+  if (!isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  emitDownloadsState({ immediate: true });
+  shellWindow.browserWindow.webContents.send('downloads:panelOpen', { backdrop });
+}
+
+async function chooseDownloadDirectory(shellWindow) {
+  const result = await dialog.showOpenDialog(shellWindow.browserWindow, {
+    title: 'Choose Download Folder',
+    defaultPath: getDownloadDirectory(),
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (!result.canceled && result.filePaths.length > 0) {
+    updateSettings({ downloadDirectory: result.filePaths[0] });
+  }
+}
+
+function buildDownloadsMenuItem(shellWindow) {
+  const downloadDirectory = getDownloadDirectory();
+  return {
+    label: 'Downloads',
+    submenu: [
+      {
+        label: 'Show downloads',
+        click: () => {
+          toggleDownloadsPanel(shellWindow);
+        }
+      },
+      { type: 'separator' },
+      { label: `Save to ${downloadDirectory}`, enabled: false },
+      {
+        label: 'Change download folder…',
+        click: () => {
+          chooseDownloadDirectory(shellWindow);
+        }
+      },
+      {
+        label: 'Use the system Downloads folder',
+        visible: Boolean(settings.downloadDirectory),
+        click: () => {
+          updateSettings({ downloadDirectory: '' });
+        }
+      },
+      {
+        label: 'Ask where to save each file',
+        type: 'checkbox',
+        checked: settings.askWhereToSaveDownloads,
+        click: (menuItem) => {
+          updateSettings({ askWhereToSaveDownloads: menuItem.checked });
+        }
+      }
+    ]
+  };
+}
+
+function getWorkspacesPath() {
+  return path.join(app.getPath('userData'), WORKSPACES_FILE);
+}
+
+/**
+ * Validates a workspace read from disk or from an imported file. Group ids are only
+ * meaningful inside the workspace; they are remapped when the workspace is opened.
+ */
+function parseWorkspace(entry) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name.trim() || !Array.isArray(entry.tabs)) {
+    return null;
+  }
+
+  const groups = [];
+  for (const groupEntry of Array.isArray(entry.groups) ? entry.groups : []) {
+    if (!groupEntry || typeof groupEntry.id !== 'string' || groups.some((group) => group.id === groupEntry.id)) {
+      continue;
+    }
+
+    groups.push({
+      id: groupEntry.id,
+      name: typeof groupEntry.name === 'string' ? groupEntry.name : '',
+      color: getTabGroupColor(groupEntry.color).id,
+      isCollapsed: groupEntry.isCollapsed === true
+    });
+  }
+
+  const workspaceTabs = [];
+  for (const tabEntry of entry.tabs) {
+    if (!tabEntry || typeof tabEntry.url !== 'string' || !canRestoreUrl(tabEntry.url)) {
+      continue;
+    }
+
+    const isPinned = tabEntry.isPinned === true;
+    workspaceTabs.push({
+      url: tabEntry.url,
+      title: typeof tabEntry.title === 'string' && tabEntry.title ? tabEntry.title : 'Figma',
+      profileId: typeof tabEntry.profileId === 'string' ? tabEntry.profileId : DEFAULT_PROFILE_ID,
+      isPinned,
+      groupId:
+        !isPinned && groups.some((group) => group.id === tabEntry.groupId) ? tabEntry.groupId : null
+    });
+  }
+
+  return {
+    id: typeof entry.id === 'string' ? entry.id : '',
+    name: entry.name.trim(),
+    groups: groups.filter((group) => workspaceTabs.some((tab) => tab.groupId === group.id)),
+    tabs: workspaceTabs,
+    activeIndex:
+      Number.isInteger(entry.activeIndex) && entry.activeIndex >= 0 && entry.activeIndex < workspaceTabs.length
+        ? entry.activeIndex
+        : 0
+  };
+}
+
+function loadWorkspaces() {
+  const loaded = [];
+
+  try {
+    const parsed = JSON.parse(fs.readFileSync(getWorkspacesPath(), 'utf8'));
+    for (const entry of Array.isArray(parsed && parsed.workspaces) ? parsed.workspaces : []) {
+      const workspace = parseWorkspace(entry);
+      if (workspace && workspace.id && !loaded.some((existing) => existing.id === workspace.id)) {
+        loaded.push(workspace);
+      }
+    }
+  } catch {
+    // Missing or unreadable workspaces start empty.
+  }
+
+  workspaces = loaded;
+}
+
+function persistWorkspaces() {
+  try {
+    fs.writeFileSync(getWorkspacesPath(), JSON.stringify({ workspaces }), 'utf8');
+  } catch {
+    // Persistence failures should never crash the app.
+  }
+}
+
+function getWorkspace(workspaceId) {
+  return workspaces.find((workspace) => workspace.id === workspaceId) || null;
+}
+
+function captureWorkspaceTabs(shellWindow) {
+  const { groups, tabs: windowTabs, activeTabId } = buildWindowStatePayload(shellWindow);
+  return {
+    groups,
+    tabs: windowTabs.map(({ url, title, profileId, isPinned, groupId }) => ({
+      url,
+      title,
+      profileId,
+      isPinned,
+      groupId
+    })),
+    activeIndex: Math.max(0, windowTabs.findIndex((tab) => tab.id === activeTabId))
+  };
+}
+
+function createUniqueWorkspaceName(name) {
+  let uniqueName = name;
+  for (let suffix = 2; workspaces.some((workspace) => workspace.name === uniqueName); suffix += 1) {
+    uniqueName = `${name} (${suffix})`;
+  }
+
+  return uniqueName;
+}
+
+function saveWorkspace(shellWindow, name) {
+  const trimmedName = typeof name === 'string' ? name.trim() : '';
+  if (!trimmedName || !isShellWindowAlive(shellWindow)) {
+    return null;
+  }
+
+  const existing = workspaces.find((workspace) => workspace.name === trimmedName);
+  const workspace = {
+    id: existing ? existing.id : createUniqueId(trimmedName, 'workspace', workspaces),
+    name: trimmedName,
+    ...captureWorkspaceTabs(shellWindow)
+  };
+
+  if (existing) {
+    workspaces.splice(workspaces.indexOf(existing), 1, workspace);
+  } else {
+    workspaces.push(workspace);
+  }
+  shellWindow.workspaceId = workspace.id;
+  persistWorkspaces();
+  queuePersistTabState();
+  return workspace;
+}
+
+function updateWorkspaceFromWindow(shellWindow) {
+  const workspace = getWorkspace(shellWindow.workspaceId);
+  if (!workspace) {
+    return;
+  }
+
+  Object.assign(workspace, captureWorkspaceTabs(shellWindow));
+  persistWorkspaces();
+}
+
+/**
+ * Removes a tab left behind by a workspace switch. Its page closes through beforeunload; a tab
+ * with unsynced Figma changes stays open and is handed to `onKept` instead of losing them.
+ */
+function releaseWorkspaceTab(tabId, onKept) {
+  const tab = tabs.get(tabId);
+  if (!tab) {
+    return;
+  }
+
+  const removeTab = () => {
+    if (tabs.get(tabId) !== tab) {
+      return;
+    }
+
+    const shellWindow = getShellWindowForTab(tab);
+    if (shellWindow) {
+      removeTabFromWindow(shellWindow, tab);
+    }
+    tabs.delete(tabId);
+    discardingTabIds.delete(tabId);
+    if (shellWindow) {
+      emitTabsState(shellWindow);
+      queuePersistTabState();
+    }
+  };
+
+  if (!tab.view || tab.view.webContents.isDestroyed()) {
+    removeTab();
+    return;
+  }
+
+  const { webContents } = tab.view;
+  const handleDestroyed = () => {
+    webContents.removeListener('will-prevent-unload', handlePreventUnload);
+    removeTab();
+  };
+  const handlePreventUnload = () => {
+    webContents.removeListener('destroyed', handleDestroyed);
+    onKept(tab);
+  };
+
+  webContents.once('destroyed', handleDestroyed);
+  webContents.once('will-prevent-unload', handlePreventUnload);
+  webContents.close({ waitForBeforeUnload: true });
+}
+
+/**
+ * Replaces a window's tabs with a workspace's tab set. The new tabs load lazily, so only
+ * the workspace's active tab starts loading straight away.
+ */
+function openWorkspaceInWindow(shellWindow, workspace) {
+  const previousTabIds = shellWindow.tabOrder.slice();
+
+  const groupIds = new Map();
+  for (const group of workspace.groups) {
+    const groupId = nextGroupId();
+    groupIds.set(group.id, groupId);
+    shellWindow.groups.set(groupId, { ...group, id: groupId });
+  }
+
+  const workspaceTabIds = workspace.tabs.map((tab) =>
+    createTab({
+      windowId: shellWindow.id,
       url: tab.url,
       title: tab.title,
-      index: tabIndex
+      profileId: tab.profileId,
+      isPinned: tab.isPinned,
+      groupId: groupIds.get(tab.groupId) || null,
+      activate: false,
+      lazy: true
+    })
+  );
+
+  const activeTabId = workspaceTabIds[workspace.activeIndex] || workspaceTabIds[0];
+  if (activeTabId) {
+    activateTab(activeTabId);
+  } else {
+    createTab({ windowId: shellWindow.id, url: FIGMA_RECENTS, activate: true });
+  }
+
+  // Tabs kept open by beforeunload move to a window of their own, so they are not saved into
+  // the workspace that now owns this window.
+  let keptTabsShellWindow = null;
+  const moveKeptTab = (tab) => {
+    if (isShellWindowAlive(keptTabsShellWindow)) {
+      moveTabToWindow(tab.id, keptTabsShellWindow);
+    } else {
+      keptTabsShellWindow = detachTabToNewWindow(tab.id);
+    }
+    emitToast({
+      title: 'Tab Kept Open',
+      message: `"${tab.title || 'Figma'}" has unsaved changes, so it stayed open in a separate window.`
+    });
+  };
+  for (const tabId of previousTabIds) {
+    releaseWorkspaceTab(tabId, moveKeptTab);
+  }
+
+  shellWindow.workspaceId = workspace.id;
+  pruneEmptyTabGroups(shellWindow);
+  emitTabsState(shellWindow);
+  queuePersistTabState();
+}
+
+/** A tab set is worth keeping once it holds more than the file browser. */
+function isTabSetWorthKeeping(windowTabs) {
+  return windowTabs.some((tab) => tab.isPinned || getFigmaDocumentType(tab.url) !== 'files');
+}
+
+/**
+ * Asks what happens to the tabs a workspace switch closes. Resolves 'save' or 'discard', or
+ * null when the user cancels the switch.
+ */
+async function confirmWorkspaceSwitch(shellWindow) {
+  const windowTabs = shellWindow.tabOrder.map((tabId) => tabs.get(tabId)).filter(Boolean);
+  const pinnedCount = windowTabs.filter((tab) => tab.isPinned).length;
+
+  if (!getWorkspace(shellWindow.workspaceId) && isTabSetWorthKeeping(windowTabs)) {
+    const tabCount = windowTabs.length === 1 ? 'The tab' : `The ${windowTabs.length} tabs`;
+    let pinnedDetail = '';
+    if (pinnedCount > 0) {
+      pinnedDetail = windowTabs.length === 1 ? ' It is pinned.' : ` ${pinnedCount} of them are pinned.`;
+    }
+    const { response } = await dialog.showMessageBox(shellWindow.browserWindow, {
+      type: 'question',
+      buttons: ['Save as Workspace…', 'Close Tabs', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2,
+      title: 'Switch Workspace',
+      message: 'Save the open tabs as a workspace first?',
+      detail: `${tabCount} in this window will be closed because the window is not a saved workspace.${pinnedDetail}`
+    });
+    return ['save', 'discard', null][response];
+  }
+
+  if (pinnedCount === 0) {
+    return 'discard';
+  }
+
+  const { response } = await dialog.showMessageBox(shellWindow.browserWindow, {
+    type: 'question',
+    buttons: [pinnedCount === 1 ? 'Close Pinned Tab' : 'Close Pinned Tabs', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+    title: 'Switch Workspace',
+    message: pinnedCount === 1 ? 'Close the pinned tab?' : `Close ${pinnedCount} pinned tabs?`,
+    detail: getWorkspace(shellWindow.workspaceId)
+      ? 'Switching workspaces closes the tabs of this window; they stay saved in the current workspace.'
+      : 'Switching workspaces closes the tabs of this window.'
+  });
+  return response === 0 ? 'discard' : null;
+}
+
+async function switchWorkspace(shellWindow, workspaceId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace || !isShellWindowAlive(shellWindow) || shellWindow.workspaceId === workspaceId) {
+    return;
+  }
+
+  const decision = await confirmWorkspaceSwitch(shellWindow);
+  if (!decision || !isShellWindowAlive(shellWindow) || !getWorkspace(workspaceId)) {
+    return;
+  }
+
+  if (decision === 'save') {
+    const name = await promptInShell(shellWindow, {
+      label: 'Save workspace',
+      placeholder: 'Workspace name, e.g. Client redesign',
+      value: createUniqueWorkspaceName('Previous tabs'),
+      confirmLabel: 'Save'
+    });
+    if (!saveWorkspace(shellWindow, name)) {
+      return;
+    }
+  } else {
+    updateWorkspaceFromWindow(shellWindow);
+  }
+
+  openWorkspaceInWindow(shellWindow, workspace);
+}
+
+function deleteWorkspace(workspaceId) {
+  const index = workspaces.findIndex((workspace) => workspace.id === workspaceId);
+  if (index < 0) {
+    return;
+  }
+
+  workspaces.splice(index, 1);
+  for (const shellWindow of shellWindows.values()) {
+    if (shellWindow.workspaceId === workspaceId) {
+      shellWindow.workspaceId = null;
+    }
+  }
+  persistWorkspaces();
+  queuePersistTabState();
+}
+
+async function promptSaveWorkspace(shellWindow) {
+  const currentWorkspace = getWorkspace(shellWindow.workspaceId);
+  const name = await promptInShell(shellWindow, {
+    label: 'Save workspace',
+    placeholder: 'Workspace name, e.g. Client redesign',
+    value: currentWorkspace ? currentWorkspace.name : '',
+    confirmLabel: 'Save'
+  });
+  saveWorkspace(shellWindow, name);
+}
+
+async function exportWorkspace(shellWindow, workspaceId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace || !isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  if (shellWindow.workspaceId === workspace.id) {
+    updateWorkspaceFromWindow(shellWindow);
+  }
+
+  const { canceled, filePath } = await dialog.showSaveDialog(shellWindow.browserWindow, {
+    title: 'Export workspace',
+    defaultPath: path.join(app.getPath('documents'), `${workspace.id}.figmux-workspace.json`),
+    filters: [{ name: 'Figmux workspace', extensions: ['json'] }]
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+
+  const exported = {
+    format: WORKSPACE_EXPORT_FORMAT,
+    version: WORKSPACE_EXPORT_VERSION,
+    name: workspace.name,
+    groups: workspace.groups,
+    tabs: workspace.tabs,
+    activeIndex: workspace.activeIndex
+  };
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(exported, null, 2), 'utf8');
+  } catch (error) {
+    dialog.showErrorBox('Export failed', `Could not write ${filePath}: ${error.message}`);
+  }
+}
+
+async function importWorkspace(shellWindow) {
+  if (!isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  const { canceled, filePaths } = await dialog.showOpenDialog(shellWindow.browserWindow, {
+    title: 'Import workspace',
+    properties: ['openFile'],
+    filters: [{ name: 'Figmux workspace', extensions: ['json'] }]
+  });
+  if (canceled || filePaths.length === 0) {
+    return;
+  }
+
+  let workspace = null;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+    workspace = parsed && parsed.format === WORKSPACE_EXPORT_FORMAT ? parseWorkspace(parsed) : null;
+  } catch {
+    workspace = null;
+  }
+
+  if (!workspace || workspace.tabs.length === 0) {
+    dialog.showErrorBox('Import failed', `${path.basename(filePaths[0])} is not a Figmux workspace with Figma tabs.`);
+    return;
+  }
+
+  workspace.name = createUniqueWorkspaceName(workspace.name);
+  workspace.id = createUniqueId(workspace.name, 'workspace', workspaces);
+  workspaces.push(workspace);
+  persistWorkspaces();
+
+  // Imported workspaces open in their own window so the current tabs stay untouched.
+  const targetShellWindow = createShellWindow();
+  openWorkspaceInWindow(targetShellWindow, workspace);
+}
+
+function buildWorkspacesMenuItem(shellWindow) {
+  const currentWorkspace = getWorkspace(shellWindow.workspaceId);
+  return {
+    label: 'Workspaces',
+    submenu: [
+      ...workspaces.map((workspace) => ({
+        label: workspace.name,
+        type: 'radio',
+        checked: workspace.id === shellWindow.workspaceId,
+        click: () => {
+          switchWorkspace(shellWindow, workspace.id);
+        }
+      })),
+      ...(workspaces.length > 0 ? [{ type: 'separator' }] : []),
+      {
+        label: currentWorkspace ? `Save “${currentWorkspace.name}”` : 'Save workspace…',
+        click: () => {
+          if (currentWorkspace) {
+            updateWorkspaceFromWindow(shellWindow);
+          } else {
+            promptSaveWorkspace(shellWindow);
+          }
+        }
+      },
+      {
+        label: 'Save workspace as…',
+        visible: Boolean(currentWorkspace),
+        click: () => {
+          promptSaveWorkspace(shellWindow);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Import workspace…',
+        click: () => {
+          importWorkspace(shellWindow);
+        }
+      },
+      {
+        label: 'Export workspace',
+        enabled: workspaces.length > 0,
+        submenu: workspaces.map((workspace) => ({
+          label: workspace.name,
+          click: () => {
+            exportWorkspace(shellWindow, workspace.id);
+          }
+        }))
+      },
+      {
+        label: 'Delete workspace',
+        enabled: workspaces.length > 0,
+        submenu: workspaces.map((workspace) => ({
+          label: workspace.name,
+          click: () => {
+            deleteWorkspace(workspace.id);
+          }
+        }))
+      }
+    ]
+  };
+}
+
+function focusShellWindow(shellWindow) {
+  if (!isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  const { browserWindow } = shellWindow;
+  if (browserWindow.isMinimized()) {
+    browserWindow.restore();
+  }
+
+  if (!browserWindow.isVisible()) {
+    browserWindow.show();
+  }
+
+  browserWindow.focus();
+}
+
+function openLaunchUrls(urls) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return;
+  }
+
+  // Links can arrive from a second instance before the first window exists.
+  const shellWindow = getPrimaryShellWindow();
+  if (!shellWindow) {
+    pendingLaunchUrls.push(...urls);
+    return;
+  }
+
+  urls.forEach((url, index) => {
+    createTab({ windowId: shellWindow.id, url, activate: index === urls.length - 1 });
+  });
+}
+
+function flushPendingLaunchUrls() {
+  const urls = pendingLaunchUrls;
+  pendingLaunchUrls = [];
+  openLaunchUrls(urls);
+}
+
+function getDroppedFileKind(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (IMPORTABLE_FILE_EXTENSIONS.includes(extension)) {
+    return 'import';
+  }
+
+  return IMAGE_FILE_EXTENSIONS.includes(extension) ? 'image' : null;
+}
+
+/** Keeps the files Figma can import; dropped folders are expanded one level deep. */
+function collectDroppedFiles(paths, { expandDirectories = true } = {}) {
+  const files = [];
+  for (const candidate of paths) {
+    if (typeof candidate !== 'string' || !path.isAbsolute(candidate)) {
+      continue;
+    }
+
+    let entries = [candidate];
+    try {
+      if (fs.statSync(candidate).isDirectory()) {
+        entries = expandDirectories
+          ? fs.readdirSync(candidate).sort().map((name) => path.join(candidate, name))
+          : [];
+      }
+    } catch {
+      continue;
+    }
+
+    for (const entry of entries) {
+      try {
+        if (getDroppedFileKind(entry) && fs.statSync(entry).isFile()) {
+          files.push(entry);
+        }
+      } catch {
+        // Unreadable entries are skipped.
+      }
+    }
+  }
+
+  return files;
+}
+
+/** `.fig` / `.jam` files passed on the command line, e.g. by "Open with Figmux" in a file manager. */
+function extractLaunchFiles(argv, workingDirectory = process.cwd()) {
+  if (!Array.isArray(argv)) {
+    return [];
+  }
+
+  const paths = argv.slice(1).map((arg) => {
+    if (typeof arg !== 'string' || arg.startsWith('-')) {
+      return null;
+    }
+
+    if (arg.startsWith('file:')) {
+      try {
+        return fileURLToPath(arg);
+      } catch {
+        return null;
+      }
+    }
+
+    return path.resolve(workingDirectory, arg);
+  });
+  // Images are only imported by drag and drop; Figmux does not open them from the file manager.
+  return collectDroppedFiles(paths, { expandDirectories: false }).filter(
+    (filePath) => getDroppedFileKind(filePath) === 'import'
+  );
+}
+
+function openLaunchFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return;
+  }
+
+  const shellWindow = getPrimaryShellWindow();
+  if (!shellWindow) {
+    pendingLaunchFiles.push(...files);
+    return;
+  }
+
+  openDroppedFiles(shellWindow, files);
+}
+
+function flushPendingLaunchFiles() {
+  const files = pendingLaunchFiles;
+  pendingLaunchFiles = [];
+  openLaunchFiles(files);
+}
+
+function sendImportBarState(shellWindow) {
+  shellWindow.browserWindow.webContents.send(
+    'files:importBar',
+    shellWindow.importFiles.map((filePath) => ({
+      path: filePath,
+      name: path.basename(filePath),
+      kind: getDroppedFileKind(filePath),
+      extension: path.extname(filePath).toLowerCase()
+    }))
+  );
+}
+
+/** Lists files in the import bar under the tabs, from where the user drags them into Figma. */
+function showImportBar(shellWindow, filePaths) {
+  const wasOpen = shellWindow.importFiles.length > 0;
+  shellWindow.importFiles = Array.from(new Set([...shellWindow.importFiles, ...filePaths]));
+  if (!wasOpen) {
+    updateActiveTabBounds(shellWindow);
+  }
+  sendImportBarState(shellWindow);
+}
+
+/** Removes files from the import bar, or all of them when `filePaths` is null. */
+function dismissImportFiles(shellWindow, filePaths = null) {
+  if (!isShellWindowAlive(shellWindow) || shellWindow.importFiles.length === 0) {
+    return;
+  }
+
+  shellWindow.importFiles = filePaths
+    ? shellWindow.importFiles.filter((filePath) => !filePaths.includes(filePath))
+    : [];
+  if (shellWindow.importFiles.length === 0) {
+    updateActiveTabBounds(shellWindow);
+  }
+  sendImportBarState(shellWindow);
+}
+
+/**
+ * Starts a native drag of import-bar files, so Figma receives them through its own drop
+ * handling: the file browser imports `.fig` / `.jam` files and a canvas places images.
+ */
+function startImportFileDrag(shellWindow, webContents, filePaths) {
+  const files = filePaths.filter((filePath) => shellWindow.importFiles.includes(filePath));
+  if (files.length === 0) {
+    return;
+  }
+
+  const icon = appIconPath ? nativeImage.createFromPath(appIconPath) : nativeImage.createEmpty();
+  webContents.startDrag({
+    file: files[0],
+    files,
+    icon: icon.isEmpty() ? icon : icon.resize({ width: 32, height: 32 })
+  });
+}
+
+/**
+ * Hands dropped or launched files to the import bar. `.fig` / `.jam` files also open Figma's
+ * file browser in a new tab, unless it is already the active tab, to drag them onto.
+ */
+function openDroppedFiles(shellWindow, filePaths, profileId = getActiveProfileId(shellWindow)) {
+  const files = collectDroppedFiles(filePaths);
+  if (!isShellWindowAlive(shellWindow) || files.length === 0) {
+    return;
+  }
+
+  const activeTab = tabs.get(shellWindow.activeTabId);
+  const activeDocumentType = activeTab ? getFigmaDocumentType(activeTab.url) : null;
+  const hasImports = files.some((file) => getDroppedFileKind(file) === 'import');
+  if (hasImports && activeDocumentType !== 'files') {
+    createTab({ windowId: shellWindow.id, profileId, url: FIGMA_RECENTS, activate: true });
+  } else if (!hasImports && !IMAGE_DROP_DOCUMENT_TYPES.includes(activeDocumentType)) {
+    emitToast({
+      title: 'Images Ready to Import',
+      message: 'Open a design, FigJam or Slides file, then drag the images from the import bar onto its canvas.'
+    });
+  }
+
+  showImportBar(shellWindow, files);
+}
+
+async function beginShellFileDrag(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady || shellWindow.isOverlayOpen) {
+    return;
+  }
+
+  const backdrop = await openShellOverlay(shellWindow);
+  if (isShellWindowAlive(shellWindow)) {
+    shellWindow.browserWindow.webContents.send('files:dropTargetOpen', { backdrop });
+  }
+}
+
+function registerFigmaProtocolClient() {
+  try {
+    if (!app.isDefaultProtocolClient(FIGMA_PROTOCOL_SCHEME)) {
+      app.setAsDefaultProtocolClient(FIGMA_PROTOCOL_SCHEME);
+    }
+  } catch (error) {
+    console.warn('[figmux] Unable to register figma:// protocol handler:', error.message);
+  }
+}
+
+/**
+ * Resolves with the entered text, or null when cancelled. With `alternateLabel` the prompt shows
+ * a second confirm button (also Alt+Enter) and resolves with `{ value, isAlternate }` instead.
+ */
+function promptInShell(
+  shellWindow,
+  { label = '', placeholder = '', value = '', confirmLabel = 'OK', alternateLabel = '' } = {}
+) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
+    return Promise.resolve(null);
+  }
+
+  shellPromptCounter += 1;
+  const requestId = `prompt-${shellPromptCounter}`;
+  return new Promise((resolve) => {
+    pendingShellPrompts.set(requestId, (result, isAlternate) => {
+      resolve(alternateLabel && result !== null ? { value: result, isAlternate } : result);
+    });
+    shellWindow.browserWindow.webContents.focus();
+    shellWindow.browserWindow.webContents.send('shell:prompt', {
+      requestId,
+      label,
+      placeholder,
+      value,
+      confirmLabel,
+      alternateLabel
+    });
+  });
+}
+
+function navigateTab(tabId, url) {
+  const tab = tabs.get(tabId);
+  if (!tab) {
+    return;
+  }
+
+  if (tab.view) {
+    tab.view.webContents.loadURL(url);
+  } else {
+    tab.url = url;
+  }
+  activateTab(tabId);
+}
+
+/** Opens a pasted Figma link in the active tab, or in a new tab with the alternate button. */
+async function promptOpenLink(shellWindow) {
+  const activeTab = tabs.get(shellWindow.activeTabId);
+  const result = await promptInShell(shellWindow, {
+    label: 'Open link',
+    placeholder: 'Paste a figma.com or figma:// link',
+    value: activeTab ? activeTab.url : '',
+    confirmLabel: 'Open',
+    alternateLabel: 'New tab'
+  });
+  if (!result || !isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  const url = normalizeLinkInput(result.value);
+  if (!url) {
+    emitToast({ title: 'Open Link', message: 'Only figma.com and figma:// links can be opened in Figmux.' });
+    return;
+  }
+
+  if (result.isAlternate || !activeTab) {
+    createTab({ windowId: shellWindow.id, url, profileId: getActiveProfileId(shellWindow), activate: true });
+  } else {
+    navigateTab(activeTab.id, url);
+  }
+}
+
+/**
+ * Hides the active tab so the shell renderer can draw a full-window overlay. Resolves with
+ * a capture of the hidden page for the overlay backdrop.
+ */
+async function openShellOverlay(shellWindow) {
+  const active = tabs.get(shellWindow.activeTabId);
+  let backdrop = null;
+  if (active && active.view && !active.view.webContents.isDestroyed() && !isSplitVisible(shellWindow)) {
+    try {
+      backdrop = (await active.view.webContents.capturePage()).toDataURL();
+    } catch {
+      // The overlay falls back to a plain backdrop.
+    }
+  }
+
+  if (!isShellWindowAlive(shellWindow)) {
+    return null;
+  }
+
+  shellWindow.isOverlayOpen = true;
+  applyTabViewVisibility(shellWindow);
+  shellWindow.browserWindow.webContents.focus();
+  return backdrop;
+}
+
+function closeShellOverlay(shellWindow) {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.isOverlayOpen) {
+    return;
+  }
+
+  shellWindow.isOverlayOpen = false;
+  shellWindow.screenshot = null;
+  shellWindow.pdfExportTabId = null;
+  applyTabViewVisibility(shellWindow);
+  focusActiveTabWebContents(shellWindow);
+  // Every overlay (palette, downloads panel) hides itself on this.
+  shellWindow.browserWindow.webContents.send('shell:overlayClosed');
+}
+
+async function captureTabImage(tab) {
+  if (!tab.view || tab.view.webContents.isDestroyed() || tab.crashState) {
+    return null;
+  }
+
+  try {
+    const image = await tab.view.webContents.capturePage();
+    return image.isEmpty() ? null : image;
+  } catch (error) {
+    console.warn('[figmux] Unable to capture tab:', error.message);
+    return null;
+  }
+}
+
+/** The tab title, made safe to use as a file name. */
+function getTabFileBaseName(tab) {
+  return (tab.title || '').replace(/[\\/:*?"<>|]+/g, '-').trim().slice(0, 80) || 'Figma';
+}
+
+function getScreenshotFileName(tab) {
+  const timestamp = new Date().toISOString().slice(0, 19).replace('T', ' ').replace(/:/g, '.');
+  return `${getTabFileBaseName(tab)} ${timestamp}.png`;
+}
+
+async function writeTabScreenshot(shellWindow, tab, image, destination) {
+  if (destination === 'clipboard') {
+    clipboard.writeImage(image);
+    emitToast({ title: 'Screenshot Copied', message: tab.title || 'Figma' });
+    return;
+  }
+
+  const { canceled, filePath } = await dialog.showSaveDialog(shellWindow.browserWindow, {
+    title: 'Save tab screenshot',
+    defaultPath: path.join(app.getPath('pictures'), getScreenshotFileName(tab)),
+    filters: [{ name: 'PNG image', extensions: ['png'] }]
+  });
+  if (canceled || !filePath) {
+    return;
+  }
+
+  try {
+    await fs.promises.writeFile(filePath, image.toPNG());
+  } catch (error) {
+    dialog.showErrorBox('Screenshot failed', `Could not write ${filePath}: ${error.message}`);
+  }
+}
+
+/** Captures a whole tab to the clipboard or to a PNG file; `destination` is 'clipboard' or 'file'. */
+async function screenshotTab(shellWindow, tabId, destination) {
+  const tab = tabs.get(tabId);
+  if (!isShellWindowAlive(shellWindow) || !tab) {
+    return;
+  }
+
+  const image = await captureTabImage(tab);
+  if (image && isShellWindowAlive(shellWindow)) {
+    await writeTabScreenshot(shellWindow, tab, image, destination);
+  }
+}
+
+/** Freezes the tab in a shell overlay where the user drags out the area to capture. */
+async function openScreenshotSelection(shellWindow, tabId) {
+  const tab = tabs.get(tabId);
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady || shellWindow.isOverlayOpen || !tab) {
+    return;
+  }
+
+  const image = await captureTabImage(tab);
+  if (!image || !tab.view || !isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  const bounds = tab.view.getBounds();
+  await openShellOverlay(shellWindow);
+  if (!isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  shellWindow.screenshot = { tabId, image, bounds };
+  shellWindow.browserWindow.webContents.send('screenshot:selectOpen', { image: image.toDataURL(), bounds });
+}
+
+/** Crops a capture to a rectangle given in view coordinates; captures are in device pixels. */
+function cropScreenshot(image, bounds, rect) {
+  const size = image.getSize();
+  const scale = size.width / Math.max(1, bounds.width);
+  const x = Math.max(0, Math.round(rect.x * scale));
+  const y = Math.max(0, Math.round(rect.y * scale));
+  const width = Math.min(size.width - x, Math.round(rect.width * scale));
+  const height = Math.min(size.height - y, Math.round(rect.height * scale));
+  return width > 0 && height > 0 ? image.crop({ x, y, width, height }) : null;
+}
+
+/** Without a selection the whole frozen tab is used. */
+async function finishScreenshotSelection(shellWindow, rect, destination) {
+  const selection = shellWindow.screenshot;
+  closeShellOverlay(shellWindow);
+  const tab = selection ? tabs.get(selection.tabId) : null;
+  if (!tab) {
+    return;
+  }
+
+  const image = rect ? cropScreenshot(selection.image, selection.bounds, rect) : selection.image;
+  if (image) {
+    await writeTabScreenshot(shellWindow, tab, image, destination);
+  }
+}
+
+function isTabPrintable(tab) {
+  return Boolean(tab && tab.view && !tab.view.webContents.isDestroyed() && !tab.crashState);
+}
+
+/** Opens the native print dialog for a tab. */
+function printTab(tabId) {
+  const tab = tabs.get(tabId);
+  if (!isTabPrintable(tab)) {
+    return false;
+  }
+
+  tab.view.webContents.print({ silent: false, printBackground: true }, (success, failureReason) => {
+    if (!success && failureReason !== 'cancelled') {
+      console.warn('[figmux] Unable to print tab:', failureReason);
+    }
+  });
+  return true;
+}
+
+/** Fills in missing or unknown PDF export choices from the defaults. */
+function normalizePdfExportOptions(options) {
+  const input = options && typeof options === 'object' ? options : {};
+  return {
+    pageSize: PDF_PAGE_SIZES.includes(input.pageSize) ? input.pageSize : DEFAULT_SETTINGS.pdfPageSize,
+    landscape: typeof input.landscape === 'boolean' ? input.landscape : DEFAULT_SETTINGS.pdfLandscape,
+    margins: PDF_MARGIN_OPTIONS.some((option) => option.id === input.margins)
+      ? input.margins
+      : DEFAULT_SETTINGS.pdfMargins,
+    printBackground:
+      typeof input.printBackground === 'boolean' ? input.printBackground : DEFAULT_SETTINGS.pdfPrintBackground
+  };
+}
+
+async function openPdfExport(shellWindow, tabId) {
+  const tab = tabs.get(tabId);
+  if (
+    !isShellWindowAlive(shellWindow) ||
+    !shellWindow.shellReady ||
+    shellWindow.isOverlayOpen ||
+    !isTabPrintable(tab)
+  ) {
+    return;
+  }
+
+  const backdrop = await openShellOverlay(shellWindow);
+  if (!isShellWindowAlive(shellWindow)) {
+    return;
+  }
+
+  shellWindow.pdfExportTabId = tabId;
+  shellWindow.browserWindow.webContents.send('pdf:exportOpen', {
+    backdrop,
+    pageSizes: PDF_PAGE_SIZES,
+    margins: PDF_MARGIN_OPTIONS.map(({ id, label }) => ({ id, label })),
+    options: normalizePdfExportOptions({
+      pageSize: settings.pdfPageSize,
+      landscape: settings.pdfLandscape,
+      margins: settings.pdfMargins,
+      printBackground: settings.pdfPrintBackground
+    })
+  });
+}
+
+/** Remembers the chosen options, asks where to save and writes the PDF. */
+async function exportTabAsPdf(shellWindow, options) {
+  const tab = tabs.get(shellWindow.pdfExportTabId);
+  closeShellOverlay(shellWindow);
+  if (!isTabPrintable(tab)) {
+    return;
+  }
+
+  const { pageSize, landscape, margins, printBackground } = normalizePdfExportOptions(options);
+  updateSettings({
+    pdfPageSize: pageSize,
+    pdfLandscape: landscape,
+    pdfMargins: margins,
+    pdfPrintBackground: printBackground
+  });
+
+  const { canceled, filePath } = await dialog.showSaveDialog(shellWindow.browserWindow, {
+    title: 'Export page as PDF',
+    defaultPath: path.join(app.getPath('documents'), `${getTabFileBaseName(tab)}.pdf`),
+    filters: [{ name: 'PDF document', extensions: ['pdf'] }]
+  });
+  if (canceled || !filePath || !isTabPrintable(tab)) {
+    return;
+  }
+
+  const { inches } = PDF_MARGIN_OPTIONS.find((option) => option.id === margins);
+  try {
+    const data = await tab.view.webContents.printToPDF({
+      pageSize,
+      landscape,
+      printBackground,
+      margins: { top: inches, bottom: inches, left: inches, right: inches }
+    });
+    await fs.promises.writeFile(filePath, data);
+  } catch (error) {
+    dialog.showErrorBox('Export failed', `Could not export ${filePath}: ${error.message}`);
+  }
+}
+
+function buildTabPaletteItems(shellWindow) {
+  return shellWindow.tabOrder
+    .map((tabId) => tabs.get(tabId))
+    .filter(Boolean)
+    .map((tab) => ({
+      type: 'tab',
+      id: tab.id,
+      title: tab.title,
+      detail: tab.url,
+      isActive: tab.id === shellWindow.activeTabId
+    }));
+}
+
+function buildCommandPaletteItems() {
+  const items = [];
+  for (const shellWindow of shellWindows.values()) {
+    items.push(...buildTabPaletteItems(shellWindow));
+  }
+
+  for (let index = closedTabs.length - 1; index >= 0; index -= 1) {
+    items.push({
+      type: 'closed',
+      id: closedTabs[index].id,
+      title: closedTabs[index].title,
+      detail: closedTabs[index].url
     });
-    tabOrder.splice(tabIndex, 1);
   }
 
-  const isActive = activeTabId === tabId;
-  if (isActive && mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.contentView.removeChildView(tab.view);
+  for (const command of COMMAND_PALETTE_COMMANDS) {
+    items.push({
+      type: 'command',
+      id: command.id,
+      title: command.title,
+      detail: getKeybindingLabel(command.id)
+    });
   }
 
-  tabs.delete(tabId);
-  tab.view.webContents.destroy();
+  return items;
+}
 
-  if (tabOrder.length === 0) {
-    activeTabId = null;
-    createTab({ url: FIGMA_RECENTS, activate: true });
-    return;
-  }
+/** The shortcuts cheat sheet lists every action; picking one runs it. */
+function buildShortcutPaletteItems() {
+  return keybindings
+    .map((binding) => ({
+      type: 'shortcut',
+      id: binding.id,
+      title: binding.title,
+      detail: binding.passThroughOnCanvas ? 'Left to Figma while the canvas has focus' : '',
+      keys: binding.keys.join(' / ')
+    }))
+    .concat({
+      type: 'command',
+      id: 'edit-keybindings',
+      title: 'Edit keyboard shortcuts…',
+      detail: KEYBINDINGS_FILE
+    });
+}
 
-  if (isActive) {
-    const nextIndex = Math.min(tabIndex, tabOrder.length - 1);
-    activateTab(tabOrder[nextIndex]);
-  } else {
-    emitTabsState();
-    queuePersistTabState();
+function buildPaletteItems(shellWindow, mode) {
+  if (mode === 'tabs') {
+    return buildTabPaletteItems(shellWindow);
   }
+
+  return mode === 'shortcuts' ? buildShortcutPaletteItems() : buildCommandPaletteItems();
 }
 
-function reloadTab(tabId) {
-  const tab = tabs.get(tabId);
-  if (!tab || tab.view.webContents.isDestroyed()) {
+/**
+ * `mode` is 'commands' for the full palette, 'tabs' for the all-tabs list of this window or
+ * 'shortcuts' for the keyboard shortcuts cheat sheet.
+ */
+async function toggleCommandPalette(shellWindow, mode = 'commands') {
+  if (!isShellWindowAlive(shellWindow) || !shellWindow.shellReady) {
     return;
   }
 
-  tab.view.webContents.reload();
-  activateTab(tabId);
-}
-
-function cycleTabs(reverse) {
-  if (tabOrder.length < 2 || !activeTabId) {
+  if (shellWindow.isOverlayOpen) {
+    shellWindow.browserWindow.webContents.send('palette:close');
+    closeShellOverlay(shellWindow);
     return;
   }
 
-  const currentIndex = tabOrder.indexOf(activeTabId);
-  if (currentIndex < 0) {
+  const backdrop = await openShellOverlay(shellWindow);
+  if (!isShellWindowAlive(shellWindow)) {
     return;
   }
 
-  const offset = reverse ? -1 : 1;
-  const nextIndex = (currentIndex + offset + tabOrder.length) % tabOrder.length;
-  activateTab(tabOrder[nextIndex]);
+  shellWindow.browserWindow.webContents.send('palette:open', {
+    backdrop,
+    mode,
+    items: buildPaletteItems(shellWindow, mode)
+  });
 }
 
-function loadSavedTabState() {
-  try {
-    const raw = fs.readFileSync(getTabStatePath(), 'utf8');
-    const parsed = JSON.parse(raw);
-    if (!parsed || !Array.isArray(parsed.tabs)) {
-      return null;
+function runCommandPaletteItem(shellWindow, { type, id } = {}) {
+  if (type === 'tab') {
+    const tab = tabs.get(id);
+    if (tab) {
+      activateTab(tab.id);
+      focusShellWindow(getShellWindowForTab(tab));
     }
+    return;
+  }
 
-    const restoredTabs = [];
-    for (const entry of parsed.tabs) {
-      if (!entry || typeof entry.id !== 'string' || typeof entry.url !== 'string') {
-        continue;
-      }
-
-      if (!canRestoreUrl(entry.url)) {
-        continue;
-      }
-
-      restoredTabs.push({
-        id: entry.id,
-        url: entry.url
-      });
+  if (type === 'closed') {
+    reopenClosedTab(shellWindow, id);
+    return;
+  }
 
-      const suffix = Number(entry.id.replace('tab-', ''));
-      if (Number.isFinite(suffix)) {
-        tabIdCounter = Math.max(tabIdCounter, suffix);
-      }
-    }
+  if (type === 'shortcut') {
+    runKeybindingAction(id, shellWindow);
+    return;
+  }
 
-    return {
-      activeTabId: typeof parsed.activeTabId === 'string' ? parsed.activeTabId : null,
-      tabs: restoredTabs
-    };
-  } catch {
-    return null;
+  if (id === 'new-tab') {
+    createTab({ windowId: shellWindow.id, profileId: getActiveProfileId(shellWindow), activate: true });
+  } else if (id === 'reload-tab') {
+    reloadTab(shellWindow.activeTabId);
+  } else if (id === 'reopen-closed-tab') {
+    reopenClosedTab(shellWindow);
+  } else if (id === 'toggle-full-screen') {
+    shellWindow.browserWindow.setFullScreen(!shellWindow.browserWindow.isFullScreen());
+  } else if (id === 'open-link') {
+    promptOpenLink(shellWindow);
+  } else if (id === 'show-downloads') {
+    toggleDownloadsPanel(shellWindow);
+  } else if (id === 'copy-tab-screenshot' || id === 'save-tab-screenshot') {
+    screenshotTab(shellWindow, shellWindow.activeTabId, id === 'copy-tab-screenshot' ? 'clipboard' : 'file');
+  } else if (id === 'capture-tab-area') {
+    openScreenshotSelection(shellWindow, shellWindow.activeTabId);
+  } else if (id === 'print-tab') {
+    printTab(shellWindow.activeTabId);
+  } else if (id === 'export-pdf') {
+    openPdfExport(shellWindow, shellWindow.activeTabId);
+  } else if (id === 'keyboard-shortcuts') {
+    toggleCommandPalette(shellWindow, 'shortcuts');
+  } else if (id === 'edit-keybindings') {
+    openKeybindingsFile();
+  } else if (id === 'check-for-updates') {
+    checkForUpdatesNow();
   }
 }
 
-function restoreTabs() {
-  const state = loadSavedTabState();
-  if (!state || state.tabs.length === 0) {
-    createTab({ url: FIGMA_RECENTS, activate: true });
+async function promptCreateProfileTab(shellWindow) {
+  const name = await promptInShell(shellWindow, {
+    label: 'New profile',
+    placeholder: 'Profile name, e.g. Client',
+    confirmLabel: 'Create'
+  });
+  const profile = createProfile(name);
+  if (!profile || !isShellWindowAlive(shellWindow)) {
     return;
   }
 
-  for (const tabEntry of state.tabs) {
-    createTab({ id: tabEntry.id, url: tabEntry.url, activate: false });
+  createTab({ windowId: shellWindow.id, profileId: profile.id, activate: true });
+  for (const otherShellWindow of shellWindows.values()) {
+    emitTabsState(otherShellWindow);
   }
+}
 
-  if (state.activeTabId && tabs.has(state.activeTabId)) {
-    activateTab(state.activeTabId);
-  } else {
-    activateTab(tabOrder[0]);
-  }
+function buildNewTabMenuTemplate(shellWindow) {
+  return [
+    ...profiles.map((profile) => ({
+      label: `New tab in ${profile.name}`,
+      click: () => {
+        createTab({ windowId: shellWindow.id, profileId: profile.id, activate: true });
+      }
+    })),
+    { type: 'separator' },
+    {
+      label: 'New profile…',
+      click: () => {
+        promptCreateProfileTab(shellWindow);
+      }
+    },
+    { type: 'separator' },
+    buildWorkspacesMenuItem(shellWindow),
+    buildRecentlyClosedMenuItem(shellWindow),
+    buildDownloadsMenuItem(shellWindow),
+    {
+      label: 'Sleep inactive tabs',
+      submenu: TAB_HIBERNATION_OPTIONS_MINUTES.map((minutes) => ({
+        label: formatHibernationOption(minutes),
+        type: 'radio',
+        checked: settings.tabHibernationMinutes === minutes,
+        click: () => {
+          updateSettings({ tabHibernationMinutes: minutes });
+        }
+      }))
+    },
+    {
+      label: 'Reload stale tabs after sleep',
+      type: 'checkbox',
+      checked: settings.reloadTabsAfterResume,
+      click: (menuItem) => {
+        updateSettings({ reloadTabsAfterResume: menuItem.checked });
+      }
+    },
+    {
+      label: 'Show navigation buttons',
+      type: 'checkbox',
+      checked: settings.showNavigationControls,
+      click: (menuItem) => {
+        updateSettings({ showNavigationControls: menuItem.checked });
+        for (const otherShellWindow of shellWindows.values()) {
+          emitTabsState(otherShellWindow);
+        }
+      }
+    }
+  ];
 }
 
 function setupIpc() {
-  ipcMain.handle('tabs:list', () => getTabsSnapshot());
+  ipcMain.handle('tabs:list', (event) => getTabsSnapshot(getShellWindowForWebContents(event.sender)));
+
+  ipcMain.handle('tabs:create', (event, options = {}) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (!shellWindow) {
+      return getTabsSnapshot(null);
+    }
 
-  ipcMain.handle('tabs:create', (_event, options = {}) => {
     const sourceTabId = options && typeof options.sourceTabId === 'string' ? options.sourceTabId : null;
-    const sourceIndex = sourceTabId ? tabOrder.indexOf(sourceTabId) : -1;
+    const sourceIndex = sourceTabId ? shellWindow.tabOrder.indexOf(sourceTabId) : -1;
+    const profileId =
+      options && typeof options.profileId === 'string' ? options.profileId : getActiveProfileId(shellWindow);
     createTab({
+      windowId: shellWindow.id,
+      profileId,
       activate: true,
       insertIndex: sourceIndex >= 0 ? sourceIndex + 1 : null
     });
-    return getTabsSnapshot();
+    return getTabsSnapshot(shellWindow);
   });
 
-  ipcMain.handle('tabs:close', (_event, tabId) => {
+  ipcMain.handle('tabs:close', (event, tabId) => {
     closeTab(tabId);
-    return getTabsSnapshot();
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
   });
 
-  ipcMain.handle('tabs:activate', (_event, tabId) => {
+  ipcMain.handle('tabs:activate', (event, tabId) => {
     activateTab(tabId);
-    return getTabsSnapshot();
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
   });
 
-  ipcMain.handle('tabs:showContextMenu', (_event, options = {}) => {
+  ipcMain.handle('tabs:showContextMenu', (event, options = {}) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
     const tabId = typeof options.tabId === 'string' ? options.tabId : null;
     const x = Number.isFinite(options.x) ? Math.round(options.x) : undefined;
     const y = Number.isFinite(options.y) ? Math.round(options.y) : undefined;
     const tab = tabId ? tabs.get(tabId) : null;
 
-    if (!mainWindow || mainWindow.isDestroyed() || !tab) {
-      return getTabsSnapshot();
+    if (!shellWindow || !tab) {
+      return getTabsSnapshot(shellWindow);
     }
 
+    const previousActiveTabId = shellWindow.activeTabId;
     activateTab(tabId);
 
+    const tabIndex = shellWindow.tabOrder.indexOf(tabId);
+    const hasUnpinnedTabs = (candidateTabIds) =>
+      candidateTabIds.some((candidateTabId) => {
+        const candidate = tabs.get(candidateTabId);
+        return candidate && !candidate.isPinned;
+      });
+
     Menu.buildFromTemplate([
       {
         label: 'Reload tab',
         click: () => {
           reloadTab(tabId);
         }
-      }
+      },
+      {
+        label: 'Duplicate tab',
+        click: () => {
+          duplicateTab(tabId);
+        }
+      },
+      {
+        label: tab.isPinned ? 'Unpin tab' : 'Pin tab',
+        click: () => {
+          setTabPinned(tabId, !tab.isPinned);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Copy link',
+        click: () => {
+          clipboard.writeText(tab.url);
+        }
+      },
+      {
+        label: 'Open in system browser',
+        click: () => {
+          shell.openExternal(tab.url);
+        }
+      },
+      {
+        label: 'Screenshot',
+        enabled: Boolean(tab.view) && !tab.crashState,
+        submenu: [
+          {
+            label: 'Copy screenshot',
+            click: () => {
+              screenshotTab(shellWindow, tabId, 'clipboard');
+            }
+          },
+          {
+            label: 'Save screenshot…',
+            click: () => {
+              screenshotTab(shellWindow, tabId, 'file');
+            }
+          },
+          {
+            label: 'Capture area…',
+            click: () => {
+              openScreenshotSelection(shellWindow, tabId);
+            }
+          }
+        ]
+      },
+      {
+        label: 'Print…',
+        enabled: isTabPrintable(tab),
+        click: () => {
+          printTab(tabId);
+        }
+      },
+      {
+        label: 'Export page as PDF…',
+        enabled: isTabPrintable(tab),
+        click: () => {
+          openPdfExport(shellWindow, tabId);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Add tab to new group',
+        enabled: !tab.isPinned,
+        click: async () => {
+          const group = createTabGroup(tabId);
+          if (group) {
+            await promptRenameTabGroup(shellWindow, group.id);
+          }
+        }
+      },
+      {
+        label: 'Add tab to group',
+        visible: Array.from(shellWindow.groups.keys()).some((groupId) => groupId !== tab.groupId),
+        enabled: !tab.isPinned,
+        submenu: Array.from(shellWindow.groups.values())
+          .filter((group) => group.id !== tab.groupId)
+          .map((group) => ({
+            label: group.name || `Unnamed ${getTabGroupColor(group.color).label.toLowerCase()} group`,
+            click: () => {
+              addTabToGroup(tabId, group.id);
+            }
+          }))
+      },
+      {
+        label: 'Remove from group',
+        visible: Boolean(tab.groupId),
+        click: () => {
+          removeTabFromGroup(tabId);
+        }
+      },
+      { type: 'separator' },
+      ...buildSplitViewMenuItems(shellWindow, tabId, previousActiveTabId),
+      {
+        label: 'Move tab to new window',
+        enabled: shellWindow.tabOrder.length > 1,
+        click: () => {
+          detachTabToNewWindow(tabId);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Close other tabs',
+        enabled: hasUnpinnedTabs(shellWindow.tabOrder.filter((otherTabId) => otherTabId !== tabId)),
+        click: () => {
+          closeOtherTabs(tabId);
+        }
+      },
+      {
+        label: 'Close tabs to the right',
+        enabled: hasUnpinnedTabs(shellWindow.tabOrder.slice(tabIndex + 1)),
+        click: () => {
+          closeTabsToRight(tabId);
+        }
+      },
+      { type: 'separator' },
+      {
+        label: 'Reopen closed tab',
+        accelerator: getKeybindingMenuAccelerator('reopen-closed-tab'),
+        enabled: closedTabs.length > 0,
+        click: () => {
+          reopenClosedTab(shellWindow);
+        }
+      },
+      buildRecentlyClosedMenuItem(shellWindow)
     ]).popup({
-      window: mainWindow,
+      window: shellWindow.browserWindow,
       x,
       y
     });
 
-    return getTabsSnapshot();
+    return getTabsSnapshot(shellWindow);
   });
 
-  ipcMain.handle('tabs:navigate', (_event, tabId, url) => {
-    const tab = tabs.get(tabId);
-    if (tab && parseHttpsUrl(url)) {
-      tab.view.webContents.loadURL(url);
-      activateTab(tabId);
+  ipcMain.handle('tabs:showAllTabs', (event) => {
+    toggleCommandPalette(getShellWindowForWebContents(event.sender), 'tabs');
+  });
+
+  ipcMain.handle('tabs:showNewTabMenu', (event, options = {}) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (!shellWindow) {
+      return getTabsSnapshot(null);
+    }
+
+    Menu.buildFromTemplate(buildNewTabMenuTemplate(shellWindow)).popup({
+      window: shellWindow.browserWindow,
+      x: Number.isFinite(options.x) ? Math.round(options.x) : undefined,
+      y: Number.isFinite(options.y) ? Math.round(options.y) : undefined
+    });
+
+    return getTabsSnapshot(shellWindow);
+  });
+
+  ipcMain.handle('tabs:showGroupContextMenu', (event, options = {}) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    const groupId = typeof options.groupId === 'string' ? options.groupId : null;
+    if (!shellWindow || !shellWindow.groups.has(groupId)) {
+      return getTabsSnapshot(shellWindow);
+    }
+
+    Menu.buildFromTemplate(buildTabGroupMenuTemplate(shellWindow, groupId)).popup({
+      window: shellWindow.browserWindow,
+      x: Number.isFinite(options.x) ? Math.round(options.x) : undefined,
+      y: Number.isFinite(options.y) ? Math.round(options.y) : undefined
+    });
+
+    return getTabsSnapshot(shellWindow);
+  });
+
+  ipcMain.handle('tabs:toggleGroupCollapsed', (event, groupId) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    const group = shellWindow ? shellWindow.groups.get(groupId) : null;
+    if (group) {
+      setTabGroupCollapsed(shellWindow, groupId, !group.isCollapsed);
+    }
+    return getTabsSnapshot(shellWindow);
+  });
+
+  ipcMain.handle('tabs:addToGroup', (event, tabId, groupId) => {
+    addTabToGroup(tabId, groupId);
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('shell:promptResult', (event, requestId, value, isAlternate) => {
+    const resolve = pendingShellPrompts.get(requestId);
+    if (!resolve) {
+      return;
+    }
+
+    pendingShellPrompts.delete(requestId);
+    resolve(typeof value === 'string' ? value : null, isAlternate === true);
+    focusActiveTabWebContents(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:navigate', (event, tabId, url) => {
+    if (parseHttpsUrl(url)) {
+      navigateTab(tabId, url);
     }
-    return getTabsSnapshot();
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:navigateHistory', (_event, tabId, direction) => {
+    navigateTabHistory(tabId, direction < 0 ? -1 : 1);
   });
 
-  ipcMain.handle('tabs:move', (_event, tabId, targetIndex) => {
+  ipcMain.handle('tabs:move', (event, tabId, targetIndex) => {
     moveTab(tabId, targetIndex);
-    return getTabsSnapshot();
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:attach', (event, tabId, targetIndex) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    moveTabToWindow(tabId, shellWindow, Number.isInteger(targetIndex) ? targetIndex : null);
+    return getTabsSnapshot(shellWindow);
+  });
+
+  ipcMain.handle('tabs:detach', (event, tabId, screenPoint) => {
+    // The point comes from the drag's dragend event: Wayland does not report the global cursor
+    // position to the main process, and reports 0,0 to the renderer when it has none either.
+    const dropPoint =
+      screenPoint &&
+      Number.isFinite(screenPoint.x) &&
+      Number.isFinite(screenPoint.y) &&
+      (screenPoint.x !== 0 || screenPoint.y !== 0)
+        ? { x: screenPoint.x, y: screenPoint.y }
+        : null;
+    // Drops over any Figmux window are handled by that window's strip, not torn off.
+    if (!dropPoint || !findShellWindowAtPoint(dropPoint)) {
+      detachTabToNewWindow(tabId, dropPoint);
+    }
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:reload', (event, tabId) => {
+    reloadTab(tabId);
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:dismissUnresponsive', (event, tabId) => {
+    const tab = tabs.get(tabId);
+    if (tab && tab.crashState === 'unresponsive') {
+      setTabCrashState(tab, null);
+    }
+    return getTabsSnapshot(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('tabs:resizeSplit', (event, ratio) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (shellWindow && Number.isFinite(ratio)) {
+      updateSplitView(shellWindow, { ratio });
+    }
+  });
+
+  ipcMain.handle('palette:run', (event, item) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (!shellWindow) {
+      return;
+    }
+
+    closeShellOverlay(shellWindow);
+    runCommandPaletteItem(shellWindow, item);
+  });
+
+  ipcMain.handle('find:query', (event, query) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (shellWindow && query && typeof query === 'object') {
+      findInActiveTab(shellWindow, {
+        text: query.text,
+        forward: query.forward !== false,
+        findNext: query.findNext === true,
+        matchCase: query.matchCase === true
+      });
+    }
+  });
+
+  ipcMain.handle('files:dragEnter', (event) => {
+    beginShellFileDrag(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('files:dragLeave', (event) => {
+    closeShellOverlay(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('files:drop', (event, filePaths) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (!shellWindow || !Array.isArray(filePaths)) {
+      return;
+    }
+
+    closeShellOverlay(shellWindow);
+    openDroppedFiles(shellWindow, filePaths);
+  });
+
+  // Electron only starts a native drag in direct response to the renderer's dragstart.
+  ipcMain.on('files:startDrag', (event, filePaths) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (shellWindow && Array.isArray(filePaths)) {
+      startImportFileDrag(shellWindow, event.sender, filePaths);
+    }
+  });
+
+  ipcMain.handle('files:dismissImport', (event, filePaths) => {
+    dismissImportFiles(getShellWindowForWebContents(event.sender), Array.isArray(filePaths) ? filePaths : null);
+  });
+
+  ipcMain.handle('downloads:action', (_event, downloadId, action) => {
+    runDownloadAction(downloadId, action);
+  });
+
+  ipcMain.handle('downloads:togglePanel', (event) => {
+    toggleDownloadsPanel(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('downloads:closePanel', (event) => {
+    closeShellOverlay(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('find:close', (event) => {
+    closeFindBar(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('screenshot:finish', (event, rect, destination) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (!shellWindow || (destination !== 'clipboard' && destination !== 'file')) {
+      return;
+    }
+
+    const isValidRect =
+      rect && ['x', 'y', 'width', 'height'].every((field) => Number.isFinite(rect[field]));
+    finishScreenshotSelection(shellWindow, isValidRect ? rect : null, destination);
+  });
+
+  ipcMain.handle('pdf:export', (event, options) => {
+    const shellWindow = getShellWindowForWebContents(event.sender);
+    if (shellWindow) {
+      exportTabAsPdf(shellWindow, options);
+    }
+  });
+
+  ipcMain.handle('pdf:close', (event) => {
+    closeShellOverlay(getShellWindowForWebContents(event.sender));
   });
 
-  ipcMain.handle('window:minimize', () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+  ipcMain.handle('screenshot:close', (event) => {
+    closeShellOverlay(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('palette:close', (event) => {
+    closeShellOverlay(getShellWindowForWebContents(event.sender));
+  });
+
+  ipcMain.handle('window:minimize', (event) => {
+    const browserWindow = BrowserWindow.fromWebContents(event.sender);
+    if (!browserWindow || browserWindow.isDestroyed()) {
       return;
     }
-    mainWindow.minimize();
+    browserWindow.minimize();
   });
 
-  ipcMain.handle('window:toggleMaximize', () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+  ipcMain.handle('window:toggleMaximize', (event) => {
+    const browserWindow = BrowserWindow.fromWebContents(event.sender);
+    if (!browserWindow || browserWindow.isDestroyed()) {
       return;
     }
 
-    if (mainWindow.isMaximized()) {
-      mainWindow.unmaximize();
+    if (browserWindow.isMaximized()) {
+      browserWindow.unmaximize();
     } else {
-      mainWindow.maximize();
+      browserWindow.maximize();
     }
   });
 
-  ipcMain.handle('window:close', () => {
-    if (!mainWindow || mainWindow.isDestroyed()) {
+  ipcMain.handle('window:close', (event) => {
+    const browserWindow = BrowserWindow.fromWebContents(event.sender);
+    if (!browserWindow || browserWindow.isDestroyed()) {
       return;
     }
-    mainWindow.close();
+    browserWindow.close();
   });
 }
 
-function createMainWindow() {
+function discardWindowTabs(shellWindow) {
+  for (const [index, tabId] of shellWindow.tabOrder.entries()) {
+    const tab = tabs.get(tabId);
+    if (!tab) {
+      continue;
+    }
+
+    rememberClosedTab({
+      url: tab.url,
+      title: tab.title,
+      index,
+      profileId: tab.profileId
+    });
+    tabs.delete(tabId);
+    discardingTabIds.delete(tabId);
+    if (tab.view && !tab.view.webContents.isDestroyed()) {
+      tab.view.webContents.destroy();
+    }
+  }
+
+  shellWindow.tabOrder.length = 0;
+  shellWindow.activeTabId = null;
+}
+
+function createShellWindow({ bounds = null, isMaximized = false } = {}) {
   const useNativeTitlebarOverlay = process.platform === 'linux';
   const windowOptions = {
-    width: 1360,
-    height: 860,
-    minWidth: 480,
-    minHeight: 640,
+    width: WINDOW_DEFAULT_WIDTH,
+    height: WINDOW_DEFAULT_HEIGHT,
+    minWidth: WINDOW_MIN_WIDTH,
+    minHeight: WINDOW_MIN_HEIGHT,
     autoHideMenuBar: true,
     title: 'Figmux',
     backgroundColor: useNativeTitlebarOverlay ? '#0f1014' : '#00000000',
     webPreferences: buildShellWebPreferences()
   };
 
+  if (bounds) {
+    windowOptions.width = bounds.width;
+    windowOptions.height = bounds.height;
+    if (Number.isFinite(bounds.x) && Number.isFinite(bounds.y) && isBoundsOnScreen(bounds)) {
+      windowOptions.x = bounds.x;
+      windowOptions.y = bounds.y;
+    }
+  }
+
   if (useNativeTitlebarOverlay) {
     windowOptions.titleBarStyle = 'hidden';
     windowOptions.titleBarOverlay = {
@@ -1635,55 +6178,90 @@ function createMainWindow() {
     windowOptions.icon = appIconPath;
   }
 
-  mainWindow = new BrowserWindow(windowOptions);
+  const browserWindow = new BrowserWindow(windowOptions);
+  const shellWindow = {
+    id: browserWindow.id,
+    browserWindow,
+    tabOrder: [],
+    groups: new Map(),
+    activeTabId: null,
+    split: null,
+    workspaceId: null,
+    shellReady: false,
+    isOverlayOpen: false,
+    findBar: null,
+    importFiles: [],
+    screenshot: null,
+    pdfExportTabId: null
+  };
+  shellWindows.set(shellWindow.id, shellWindow);
+  if (lastFocusedWindowId === null) {
+    lastFocusedWindowId = shellWindow.id;
+  }
+
+  if (isMaximized) {
+    browserWindow.maximize();
+  }
 
-  mainWindow.webContents
+  browserWindow.webContents
     .setVisualZoomLevelLimits(1, 1)
     .catch(() => {
       // Ignore platforms where visual zoom limits are unsupported.
     });
-  mainWindow.webContents.setZoomFactor(1);
+  browserWindow.webContents.setZoomFactor(1);
 
   const onWindowGeometryChanged = () => {
-    queueActiveTabBoundsSync();
-    emitTabsState();
-    emitWindowState();
+    queueActiveTabBoundsSync(shellWindow);
+    emitTabsState(shellWindow);
+    emitWindowState(shellWindow);
+    queuePersistTabState();
   };
+  const onWindowFocused = () => {
+    lastFocusedWindowId = shellWindow.id;
+    focusActiveTabWebContents(shellWindow);
+  };
+
+  browserWindow.on('resize', onWindowGeometryChanged);
+  browserWindow.on('maximize', onWindowGeometryChanged);
+  browserWindow.on('unmaximize', onWindowGeometryChanged);
+  browserWindow.on('enter-full-screen', onWindowGeometryChanged);
+  browserWindow.on('leave-full-screen', onWindowGeometryChanged);
+  browserWindow.on('show', onWindowGeometryChanged);
+  browserWindow.on('restore', onWindowGeometryChanged);
+  browserWindow.on('move', queuePersistTabState);
+  browserWindow.on('focus', onWindowFocused);
+  // Mouse side buttons arrive as app commands on Windows and Linux.
+  browserWindow.on('app-command', (_event, command) => {
+    if (command === 'browser-backward' || command === 'browser-forward') {
+      navigateTabHistory(shellWindow.activeTabId, command === 'browser-backward' ? -1 : 1);
+    }
+  });
+  browserWindow.on('show', () => focusActiveTabWebContents(shellWindow));
+  browserWindow.on('restore', () => focusActiveTabWebContents(shellWindow));
 
-  mainWindow.on('resize', onWindowGeometryChanged);
-  mainWindow.on('maximize', onWindowGeometryChanged);
-  mainWindow.on('unmaximize', onWindowGeometryChanged);
-  mainWindow.on('enter-full-screen', onWindowGeometryChanged);
-  mainWindow.on('leave-full-screen', onWindowGeometryChanged);
-  mainWindow.on('show', onWindowGeometryChanged);
-  mainWindow.on('restore', onWindowGeometryChanged);
-  mainWindow.on('focus', focusActiveTabWebContents);
-  mainWindow.on('show', focusActiveTabWebContents);
-  mainWindow.on('restore', focusActiveTabWebContents);
-
-  mainWindow.webContents.on('before-mouse-event', (event, mouse) => {
+  browserWindow.webContents.on('before-mouse-event', (event, mouse) => {
     if (mouse && mouse.type === 'mouseWheel' && isControlModified(mouse)) {
       event.preventDefault();
-      forwardActiveTabZoomInput(mouse);
+      forwardActiveTabZoomInput(shellWindow, mouse);
     }
   });
 
-  mainWindow.webContents.on('input-event', (_event, input) => {
+  browserWindow.webContents.on('input-event', (_event, input) => {
     if (!input) {
       return;
     }
 
     if (input.type === 'gesturePinchUpdate') {
-      forwardActiveTabZoomInput(input);
+      forwardActiveTabZoomInput(shellWindow, input);
     }
   });
 
-  mainWindow.webContents.on('zoom-changed', (_event, zoomDirection) => {
-    forwardActiveTabZoomDirection(zoomDirection);
-    mainWindow.webContents.setZoomFactor(1);
+  browserWindow.webContents.on('zoom-changed', (_event, zoomDirection) => {
+    forwardActiveTabZoomDirection(shellWindow, zoomDirection);
+    browserWindow.webContents.setZoomFactor(1);
   });
 
-  mainWindow.webContents.on('before-input-event', (event, input) => {
+  browserWindow.webContents.on('before-input-event', (event, input) => {
     const focusedWebContents =
       typeof electronWebContents.getFocusedWebContents === 'function'
         ? electronWebContents.getFocusedWebContents()
@@ -1694,33 +6272,68 @@ function createMainWindow() {
       return;
     }
 
-    handleTabShortcut(event, input, focusedWebContents);
+    handleTabShortcut(event, input, browserWindow.webContents);
   });
 
-  mainWindow.webContents.on('did-finish-load', () => {
-    shellReady = true;
-    if (!mainWindow.isVisible()) {
-      mainWindow.show();
+  browserWindow.webContents.on('did-finish-load', () => {
+    shellWindow.shellReady = true;
+    if (!browserWindow.isVisible()) {
+      browserWindow.show();
     }
-    mainWindow.focus();
-    queueActiveTabBoundsSync();
-    mainWindow.webContents.send('tabs:layout', {
+    browserWindow.focus();
+    queueActiveTabBoundsSync(shellWindow);
+    browserWindow.webContents.send('tabs:layout', {
       titlebarHeight: TITLEBAR_HEIGHT,
       windowControlsInset: WINDOW_CONTROLS_INSET,
       useNativeWindowControls: useNativeTitlebarOverlay
     });
-    emitTabsState();
-    emitWindowState();
+    emitTabsState(shellWindow);
+    emitWindowState(shellWindow);
+    emitNetworkState(shellWindow);
+    emitDownloadsState({ immediate: true });
+    // Files launched with Figmux are listed before the shell page has loaded.
+    if (shellWindow.importFiles.length > 0) {
+      sendImportBarState(shellWindow);
+    }
+  });
+
+  browserWindow.on('close', () => {
+    // The session is kept as it is once the last window is gone, so save pending changes first.
+    if (shellWindows.size === 1) {
+      flushTabState();
+    }
   });
 
-  mainWindow.on('closed', () => {
-    shellReady = false;
-    clearTimeout(tabStateWriteTimer);
+  browserWindow.on('closed', () => {
+    shellWindow.shellReady = false;
+    shellWindows.delete(shellWindow.id);
+
+    // Quitting or closing the last window keeps the saved session as it is.
+    if (isQuitting || shellWindows.size === 0) {
+      clearTimeout(tabStateWriteTimer);
+      return;
+    }
+
+    discardWindowTabs(shellWindow);
+    queuePersistTabState();
   });
 
-  mainWindow.loadFile(path.join(__dirname, 'ui', 'index.html'));
+  browserWindow.loadFile(path.join(__dirname, 'ui', 'index.html'));
+  return shellWindow;
+}
+
+const hasSingleInstanceLock = app.requestSingleInstanceLock();
+
+if (!hasSingleInstanceLock) {
+  app.quit();
 }
 
+app.on('second-instance', (_event, argv, workingDirectory) => {
+  openLaunchUrls(extractLaunchUrls(argv));
+  openLaunchFiles(extractLaunchFiles(argv, workingDirectory));
+  focusShellWindow(getPrimaryShellWindow());
+});
+
 if (process.platform === 'linux') {
   if (isFlatpakRuntime()) {
     app.setDesktopName('com.figmux.app.desktop');
@@ -1730,44 +6343,52 @@ if (process.platform === 'linux') {
 }
 
 app.whenReady().then(async () => {
+  if (!hasSingleInstanceLock) {
+    return;
+  }
+
   if (process.platform === 'linux') {
     Menu.setApplicationMenu(null);
   }
 
-  app.on('before-quit', stopBundledFigmaAgent);
-
-  const figmaPartitionSession = session.fromPartition(PERSISTENT_PARTITION);
-  defaultFigmaUserAgent = figmaPartitionSession.getUserAgent() || null;
-
-  figmaPartitionSession.setPermissionRequestHandler((webContents, permission, callback, details) => {
-    const requestingUrl =
-      (details && typeof details.requestingUrl === 'string' && details.requestingUrl) ||
-      (webContents && !webContents.isDestroyed() ? webContents.getURL() : '');
-    const allowed = shouldAllowFigmaPermission(permission, requestingUrl);
-    callback(allowed);
+  app.on('before-quit', () => {
+    isQuitting = true;
+    flushTabState();
+    persistClosedTabs();
   });
+  app.on('before-quit', stopBundledFigmaAgent);
 
-  figmaPartitionSession.setPermissionCheckHandler((webContents, permission, requestingOrigin, details) => {
-    const requestingUrl =
-      (details && typeof details.requestingUrl === 'string' && details.requestingUrl) ||
-      requestingOrigin ||
-      (webContents && !webContents.isDestroyed() ? webContents.getURL() : '');
-    const allowed = shouldAllowFigmaPermission(permission, requestingUrl);
-    return allowed;
-  });
+  defaultFigmaUserAgent = session.fromPartition(PERSISTENT_PARTITION).getUserAgent() || null;
+  isNetworkOnline = net.isOnline();
+  loadSettings();
+  loadKeybindings();
+  watchKeybindingsFile();
+  loadProfiles();
+  loadClosedTabs();
+  loadWorkspaces();
+  loadDownloads();
+  for (const profile of profiles) {
+    configureFigmaPartition(getProfilePartition(profile.id));
+  }
 
   await ensureFigmaAgentReady();
 
+  registerFigmaProtocolClient();
   setupIpc();
-  createMainWindow();
-  restoreTabs();
+  restoreSession();
+  openLaunchUrls(extractLaunchUrls(process.argv));
+  flushPendingLaunchUrls();
+  openLaunchFiles(extractLaunchFiles(process.argv));
+  flushPendingLaunchFiles();
+  setInterval(discardIdleTabs, TAB_HIBERNATION_SWEEP_INTERVAL_MS);
+  setInterval(updateNetworkState, NETWORK_STATE_POLL_INTERVAL_MS);
+  setupPowerMonitor();
   setupAppImageUpdater();
   setupFlatpakUpdateNotice();
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) {
-      createMainWindow();
-      restoreTabs();
+      restoreSession();
     }
   });
 });
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('figmuxTabs', {
   list: () => ipcRenderer.invoke('tabs:list'),
@@ -7,7 +7,18 @@ contextBridge.exposeInMainWorld('figmuxTabs', {
   activate: (tabId) => ipcRenderer.invoke('tabs:activate', tabId),
   showContextMenu: (tabId, x, y) => ipcRenderer.invoke('tabs:showContextMenu', { tabId, x, y }),
   move: (tabId, targetIndex) => ipcRenderer.invoke('tabs:move', tabId, targetIndex),
+  attach: (tabId, targetIndex) => ipcRenderer.invoke('tabs:attach', tabId, targetIndex),
+  detach: (tabId, screenPoint) => ipcRenderer.invoke('tabs:detach', tabId, screenPoint),
+  showNewTabMenu: (x, y) => ipcRenderer.invoke('tabs:showNewTabMenu', { x, y }),
+  showAllTabs: () => ipcRenderer.invoke('tabs:showAllTabs'),
+  showGroupContextMenu: (groupId, x, y) => ipcRenderer.invoke('tabs:showGroupContextMenu', { groupId, x, y }),
+  toggleGroupCollapsed: (groupId) => ipcRenderer.invoke('tabs:toggleGroupCollapsed', groupId),
+  addToGroup: (tabId, groupId) => ipcRenderer.invoke('tabs:addToGroup', tabId, groupId),
   navigate: (tabId, url) => ipcRenderer.invoke('tabs:navigate', tabId, url),
+  reload: (tabId) => ipcRenderer.invoke('tabs:reload', tabId),
+  navigateHistory: (tabId, direction) => ipcRenderer.invoke('tabs:navigateHistory', tabId, direction),
+  dismissUnresponsive: (tabId) => ipcRenderer.invoke('tabs:dismissUnresponsive', tabId),
+  resizeSplit: (ratio) => ipcRenderer.invoke('tabs:resizeSplit', ratio),
   onWillClose: (handler) => {
     const listener = (_event, tabId) => handler(tabId);
     ipcRenderer.on('tabs:willClose', listener);
@@ -28,6 +39,20 @@ contextBridge.exposeInMainWorld('figmuxTabs', {
     return () => {
       ipcRenderer.removeListener('tabs:layout', listener);
     };
+  },
+  onContextMenuRequested: (handler) => {
+    const listener = () => handler();
+    ipcRenderer.on('tabs:contextMenuRequested', listener);
+    return () => {
+      ipcRenderer.removeListener('tabs:contextMenuRequested', listener);
+    };
+  },
+  onViewLayout: (handler) => {
+    const listener = (_event, layout) => handler(layout);
+    ipcRenderer.on('tabs:viewLayout', listener);
+    return () => {
+      ipcRenderer.removeListener('tabs:viewLayout', listener);
+    };
   }
 });
 
@@ -51,5 +76,125 @@ contextBridge.exposeInMainWorld('appShell', {
     return () => {
       ipcRenderer.removeListener('shell:toast', listener);
     };
-  }
+  },
+  onPrompt: (handler) => {
+    const listener = (_event, prompt) => handler(prompt);
+    ipcRenderer.on('shell:prompt', listener);
+    return () => {
+      ipcRenderer.removeListener('shell:prompt', listener);
+    };
+  },
+  resolvePrompt: (requestId, value, isAlternate = false) =>
+    ipcRenderer.invoke('shell:promptResult', requestId, value, isAlternate),
+  onPaletteOpen: (handler) => {
+    const listener = (_event, palette) => handler(palette);
+    ipcRenderer.on('palette:open', listener);
+    return () => {
+      ipcRenderer.removeListener('palette:open', listener);
+    };
+  },
+  onPaletteClose: (handler) => {
+    const listener = () => handler();
+    ipcRenderer.on('palette:close', listener);
+    return () => {
+      ipcRenderer.removeListener('palette:close', listener);
+    };
+  },
+  onNetworkState: (handler) => {
+    const listener = (_event, networkState) => handler(networkState);
+    ipcRenderer.on('shell:networkState', listener);
+    return () => {
+      ipcRenderer.removeListener('shell:networkState', listener);
+    };
+  },
+  runPaletteItem: (item) => ipcRenderer.invoke('palette:run', item),
+  closePalette: () => ipcRenderer.invoke('palette:close'),
+  onFileDropTargetOpen: (handler) => {
+    const listener = (_event, dropTarget) => handler(dropTarget);
+    ipcRenderer.on('files:dropTargetOpen', listener);
+    return () => {
+      ipcRenderer.removeListener('files:dropTargetOpen', listener);
+    };
+  },
+  beginFileDrag: () => ipcRenderer.invoke('files:dragEnter'),
+  cancelFileDrag: () => ipcRenderer.invoke('files:dragLeave'),
+  dropFiles: (files) =>
+    ipcRenderer.invoke(
+      'files:drop',
+      Array.from(files, (file) => webUtils.getPathForFile(file)).filter(Boolean)
+    ),
+  onImportBar: (handler) => {
+    const listener = (_event, files) => handler(files);
+    ipcRenderer.on('files:importBar', listener);
+    return () => {
+      ipcRenderer.removeListener('files:importBar', listener);
+    };
+  },
+  startFileDrag: (filePaths) => ipcRenderer.send('files:startDrag', filePaths),
+  dismissImportFiles: (filePaths) => ipcRenderer.invoke('files:dismissImport', filePaths),
+  onPdfExportOpen: (handler) => {
+    const listener = (_event, pdfExport) => handler(pdfExport);
+    ipcRenderer.on('pdf:exportOpen', listener);
+    return () => {
+      ipcRenderer.removeListener('pdf:exportOpen', listener);
+    };
+  },
+  exportPdf: (options) => ipcRenderer.invoke('pdf:export', options),
+  closePdfExport: () => ipcRenderer.invoke('pdf:close'),
+  onScreenshotSelectOpen: (handler) => {
+    const listener = (_event, screenshot) => handler(screenshot);
+    ipcRenderer.on('screenshot:selectOpen', listener);
+    return () => {
+      ipcRenderer.removeListener('screenshot:selectOpen', listener);
+    };
+  },
+  finishScreenshot: (rect, destination) => ipcRenderer.invoke('screenshot:finish', rect, destination),
+  closeScreenshot: () => ipcRenderer.invoke('screenshot:close'),
+  onFindOpen: (handler) => {
+    const listener = () => handler();
+    ipcRenderer.on('find:open', listener);
+    return () => {
+      ipcRenderer.removeListener('find:open', listener);
+    };
+  },
+  onFindClose: (handler) => {
+    const listener = () => handler();
+    ipcRenderer.on('find:close', listener);
+    return () => {
+      ipcRenderer.removeListener('find:close', listener);
+    };
+  },
+  onFindResult: (handler) => {
+    const listener = (_event, result) => handler(result);
+    ipcRenderer.on('find:result', listener);
+    return () => {
+      ipcRenderer.removeListener('find:result', listener);
+    };
+  },
+  onOverlayClosed: (handler) => {
+    const listener = () => handler();
+    ipcRenderer.on('shell:overlayClosed', listener);
+    return () => {
+      ipcRenderer.removeListener('shell:overlayClosed', listener);
+    };
+  },
+  onDownloadsState: (handler) => {
+    const listener = (_event, downloadsState) => handler(downloadsState);
+    ipcRenderer.on('downloads:state', listener);
+    return () => {
+      ipcRenderer.removeListener('downloads:state', listener);
+    };
+  },
+  onDownloadsPanelOpen: (handler) => {
+    const listener = (_event, panel) => handler(panel);
+    ipcRenderer.on('downloads:panelOpen', listener);
+    return () => {
+      ipcRenderer.removeListener('downloads:panelOpen', listener);
+    };
+  },
+  toggleDownloadsPanel: () => ipcRenderer.invoke('downloads:togglePanel'),
+  closeDownloadsPanel: () => ipcRenderer.invoke('downloads:closePanel'),
+  runDownloadAction: (downloadId, action) => ipcRenderer.invoke('downloads:action', downloadId, action),
+  find: (query) => ipcRenderer.invoke('find:query', query),
+  closeFind: () => ipcRenderer.invoke('find:close')
 });
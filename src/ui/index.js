@@ -1,3 +1,9 @@
+const titlebar = document.getElementById('titlebar');
+const tabsStrip = document.getElementById('tabs-strip');
+const tabsScrollLeftButton = document.getElementById('tabs-scroll-left');
+const tabsScrollRightButton = document.getElementById('tabs-scroll-right');
+const allTabsButton = document.getElementById('all-tabs');
+const tabsScroller = document.getElementById('tabs-scroller');
 const tabsRoot = document.getElementById('tabs');
 const addTabButton = document.getElementById('add-tab');
 const windowMinimizeButton = document.getElementById('window-minimize');
@@ -5,8 +11,70 @@ const windowMaximizeButton = document.getElementById('window-maximize');
 const windowMaximizeGlyph = document.getElementById('window-maximize-glyph');
 const windowCloseButton = document.getElementById('window-close');
 const toastRegion = document.getElementById('toast-region');
+const titlebarPrompt = document.getElementById('titlebar-prompt');
+const titlebarPromptLabel = document.getElementById('titlebar-prompt-label');
+const titlebarPromptInput = document.getElementById('titlebar-prompt-input');
+const titlebarPromptConfirm = document.getElementById('titlebar-prompt-confirm');
+const titlebarPromptCancel = document.getElementById('titlebar-prompt-cancel');
+const titlebarPromptAlternate = document.getElementById('titlebar-prompt-alternate');
+const navControls = document.getElementById('nav-controls');
+const navBackButton = document.getElementById('nav-back');
+const navForwardButton = document.getElementById('nav-forward');
+const navReloadButton = document.getElementById('nav-reload');
+const surface = document.getElementById('surface');
+const splitDivider = document.getElementById('split-divider');
+const crashPanels = document.getElementById('crash-panels');
+const offlineIndicator = document.getElementById('offline-indicator');
+const findBar = document.getElementById('find-bar');
+const findBarInput = document.getElementById('find-bar-input');
+const findBarCount = document.getElementById('find-bar-count');
+const findBarCaseButton = document.getElementById('find-bar-case');
+const findBarPreviousButton = document.getElementById('find-bar-previous');
+const findBarNextButton = document.getElementById('find-bar-next');
+const findBarCloseButton = document.getElementById('find-bar-close');
+const dropOverlay = document.getElementById('drop-overlay');
+const importBar = document.getElementById('import-bar');
+const importBarFiles = document.getElementById('import-bar-files');
+const importBarCloseButton = document.getElementById('import-bar-close');
+const pdfExportOverlay = document.getElementById('pdf-export-overlay');
+const pdfExportForm = document.getElementById('pdf-export-form');
+const pdfExportPageSize = document.getElementById('pdf-export-page-size');
+const pdfExportOrientation = document.getElementById('pdf-export-orientation');
+const pdfExportMargins = document.getElementById('pdf-export-margins');
+const pdfExportBackground = document.getElementById('pdf-export-background');
+const pdfExportCancelButton = document.getElementById('pdf-export-cancel');
+const screenshotOverlay = document.getElementById('screenshot-overlay');
+const screenshotFrame = document.getElementById('screenshot-frame');
+const screenshotImage = document.getElementById('screenshot-image');
+const screenshotMarquee = document.getElementById('screenshot-marquee');
+const screenshotHint = document.getElementById('screenshot-hint');
+const screenshotCopyButton = document.getElementById('screenshot-copy');
+const screenshotSaveButton = document.getElementById('screenshot-save');
+const screenshotCancelButton = document.getElementById('screenshot-cancel');
+const downloadsButton = document.getElementById('downloads-button');
+const downloadsOverlay = document.getElementById('downloads-overlay');
+const downloadsList = document.getElementById('downloads-list');
+const downloadsClearButton = document.getElementById('downloads-clear');
+const commandPalette = document.getElementById('command-palette');
+const commandPaletteInput = document.getElementById('command-palette-input');
+const commandPaletteResults = document.getElementById('command-palette-results');
 const TAB_ANIMATION_MS = 170;
 const TOAST_DURATION_MS = 5200;
+const TAB_DRAG_MIME = 'application/x-figmux-tab';
+const COMMAND_PALETTE_RESULT_LIMIT = 50;
+const TAB_MIN_WIDTH = 72;
+const TAB_MAX_WIDTH = 240;
+const TAB_SCROLL_STEP_RATIO = 0.75;
+const COMMAND_PALETTE_TYPE_LABELS = {
+  tab: 'Tab',
+  closed: 'Recently closed',
+  command: 'Command'
+};
+const COMMAND_PALETTE_MODES = {
+  commands: { placeholder: 'Search tabs and commands', empty: 'No matching tabs or commands' },
+  tabs: { placeholder: 'Search open tabs', empty: 'No matching tabs' },
+  shortcuts: { placeholder: 'Search keyboard shortcuts', empty: 'No matching shortcuts' }
+};
 
 let state = {
   activeTabId: null,
@@ -15,7 +83,25 @@ let state = {
 let hasRenderedInitialTabs = false;
 let activeToastTimer = null;
 let draggedTabId = null;
+let activePromptId = null;
+let paletteItems = [];
+let paletteMatches = [];
+let paletteSelectedIndex = 0;
+let splitLayout = null;
+let viewPanes = [];
+let pendingSplitRatio = null;
+let paletteMode = 'commands';
+let scrolledActiveTabId = null;
+let isFindMatchCase = false;
+let fileDragDepth = 0;
+// Set while the user drags files out of the import bar, which must not reopen the drop overlay.
+let isDraggingImportFiles = false;
+/** The dragged-out capture area in tab view coordinates, or null for the whole tab. */
+let screenshotRect = null;
+let screenshotDragStart = null;
+let downloadsState = { progress: -1, isIndeterminate: false, activeCount: 0, downloads: [] };
 const tabElements = new Map();
+const groupElements = new Map();
 const closingTabIds = new Set();
 
 function createIconSpan(name) {
@@ -73,6 +159,190 @@ function showToast(toast) {
   }, duration);
 }
 
+function closePrompt(value, isAlternate = false) {
+  if (!activePromptId) {
+    return;
+  }
+
+  const requestId = activePromptId;
+  activePromptId = null;
+  titlebarPrompt.hidden = true;
+  titlebar.classList.remove('is-prompting');
+  window.appShell.resolvePrompt(requestId, value, isAlternate);
+}
+
+function showPrompt(prompt) {
+  if (!prompt || typeof prompt.requestId !== 'string') {
+    return;
+  }
+
+  closePrompt(null);
+  activePromptId = prompt.requestId;
+  titlebarPromptLabel.textContent = typeof prompt.label === 'string' ? prompt.label : '';
+  titlebarPromptInput.placeholder = typeof prompt.placeholder === 'string' ? prompt.placeholder : '';
+  titlebarPromptInput.value = typeof prompt.value === 'string' ? prompt.value : '';
+  titlebarPromptConfirm.textContent = typeof prompt.confirmLabel === 'string' ? prompt.confirmLabel : 'OK';
+  titlebarPromptAlternate.textContent = typeof prompt.alternateLabel === 'string' ? prompt.alternateLabel : '';
+  titlebarPromptAlternate.hidden = !titlebarPromptAlternate.textContent;
+  titlebarPrompt.hidden = false;
+  titlebar.classList.add('is-prompting');
+  titlebarPromptInput.focus();
+  titlebarPromptInput.select();
+}
+
+function setOverlayBackdrop(backdrop) {
+  surface.style.backgroundImage = typeof backdrop === 'string' && backdrop ? `url("${backdrop}")` : '';
+}
+
+/**
+ * Scores `text` as a fuzzy match for `query`: every query character must appear in order,
+ * with consecutive runs and word starts ranking higher. Returns -1 when it does not match.
+ */
+function scoreFuzzyMatch(query, text) {
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let streak = 0;
+  let position = 0;
+
+  for (const character of query) {
+    const index = haystack.indexOf(character, position);
+    if (index < 0) {
+      return -1;
+    }
+
+    streak = index === position ? streak + 1 : 1;
+    const isWordStart = index === 0 || /[\s/._-]/.test(haystack[index - 1]);
+    score += streak * 2 + (isWordStart ? 3 : 0) - Math.min(index - position, 5) * 0.1;
+    position = index + 1;
+  }
+
+  return score;
+}
+
+function filterPaletteItems(query) {
+  const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, '');
+  // The all-tabs list and the shortcuts cheat sheet show every entry, however many there are.
+  const limit = paletteMode === 'commands' ? COMMAND_PALETTE_RESULT_LIMIT : paletteItems.length;
+  if (!normalizedQuery) {
+    return paletteItems.slice(0, limit);
+  }
+
+  return paletteItems
+    .map((item) => ({
+      item,
+      score: Math.max(
+        scoreFuzzyMatch(normalizedQuery, item.title || ''),
+        scoreFuzzyMatch(normalizedQuery, item.detail || '') * 0.5
+      )
+    }))
+    .filter((match) => match.score >= 0)
+    .sort((left, right) => right.score - left.score)
+    .slice(0, limit)
+    .map((match) => match.item);
+}
+
+function renderPaletteResults() {
+  paletteMatches = filterPaletteItems(commandPaletteInput.value);
+  paletteSelectedIndex = Math.max(0, Math.min(paletteSelectedIndex, paletteMatches.length - 1));
+  commandPaletteResults.textContent = '';
+
+  if (paletteMatches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-palette-empty';
+    empty.textContent = COMMAND_PALETTE_MODES[paletteMode].empty;
+    commandPaletteResults.append(empty);
+    return;
+  }
+
+  paletteMatches.forEach((item, index) => {
+    const row = document.createElement('li');
+    row.className = 'command-palette-item';
+    row.setAttribute('role', 'option');
+    row.classList.toggle('is-selected', index === paletteSelectedIndex);
+    row.setAttribute('aria-selected', String(index === paletteSelectedIndex));
+
+    const text = document.createElement('span');
+    text.className = 'command-palette-item-text';
+
+    const title = document.createElement('span');
+    title.className = 'command-palette-item-title';
+    title.textContent = item.title || item.detail || 'Figma';
+    text.append(title);
+
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'command-palette-item-detail';
+      detail.textContent = item.detail;
+      text.append(detail);
+    }
+
+    const type = document.createElement('span');
+    type.className = 'command-palette-item-type';
+    if (item.type === 'shortcut') {
+      type.classList.add('is-keys');
+      type.textContent = item.keys || 'Not bound';
+    } else {
+      type.textContent = item.isActive ? 'Current tab' : COMMAND_PALETTE_TYPE_LABELS[item.type] || '';
+    }
+
+    row.append(text, type);
+    row.addEventListener('mousemove', () => {
+      if (paletteSelectedIndex !== index) {
+        paletteSelectedIndex = index;
+        renderPaletteResults();
+      }
+    });
+    row.addEventListener('click', () => {
+      runPaletteItem(item);
+    });
+    commandPaletteResults.append(row);
+  });
+
+  const selectedRow = commandPaletteResults.children[paletteSelectedIndex];
+  if (selectedRow) {
+    selectedRow.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+function hidePalette() {
+  commandPalette.hidden = true;
+  paletteItems = [];
+  paletteMatches = [];
+  setOverlayBackdrop(null);
+}
+
+function closePalette() {
+  if (commandPalette.hidden) {
+    return;
+  }
+
+  hidePalette();
+  window.appShell.closePalette();
+}
+
+function runPaletteItem(item) {
+  if (!item) {
+    return;
+  }
+
+  hidePalette();
+  window.appShell.runPaletteItem({ type: item.type, id: item.id });
+}
+
+function showPalette(palette) {
+  closePrompt(null);
+  paletteItems = palette && Array.isArray(palette.items) ? palette.items : [];
+  paletteMode = palette && COMMAND_PALETTE_MODES[palette.mode] ? palette.mode : 'commands';
+  paletteSelectedIndex = paletteMode === 'tabs' ? Math.max(0, paletteItems.findIndex((item) => item.isActive)) : 0;
+  commandPalette.classList.toggle('is-tab-list', paletteMode === 'tabs');
+  commandPaletteInput.placeholder = COMMAND_PALETTE_MODES[paletteMode].placeholder;
+  setOverlayBackdrop(palette ? palette.backdrop : null);
+  commandPaletteInput.value = '';
+  commandPalette.hidden = false;
+  renderPaletteResults();
+  commandPaletteInput.focus();
+}
+
 function safeTitle(tab) {
   if (tab.title && tab.title.trim()) {
     return tab.title;
@@ -97,6 +367,13 @@ function beginClosingTab(tabId) {
 }
 
 function requestCloseTab(tabId) {
+  const tab = state.tabs.find((entry) => entry.id === tabId);
+  if (tab && tab.isPinned) {
+    // Main asks for confirmation first and announces the close via onWillClose.
+    window.figmuxTabs.close(tabId);
+    return;
+  }
+
   if (!beginClosingTab(tabId)) {
     return;
   }
@@ -110,11 +387,61 @@ function indexOfTab(tabId) {
   return state.tabs.findIndex((tab) => tab.id === tabId);
 }
 
+function isTabDrag(event) {
+  if (draggedTabId) {
+    return true;
+  }
+
+  // Tabs dragged from another Figmux window only expose their data type until drop.
+  const types = event.dataTransfer ? Array.from(event.dataTransfer.types || []) : [];
+  return types.includes(TAB_DRAG_MIME);
+}
+
+function clearDropIndicators() {
+  for (const tabButton of tabElements.values()) {
+    tabButton.classList.remove('drop-before', 'drop-after');
+  }
+  for (const groupChip of groupElements.values()) {
+    groupChip.classList.remove('is-drop-target');
+  }
+}
+
 function clearDragState() {
   draggedTabId = null;
   for (const tabButton of tabElements.values()) {
-    tabButton.classList.remove('is-dragging', 'drop-before', 'drop-after');
+    tabButton.classList.remove('is-dragging');
+  }
+  clearDropIndicators();
+}
+
+function dropDraggedTab(event, rawTargetIndex) {
+  if (rawTargetIndex === null) {
+    clearDragState();
+    return;
+  }
+
+  if (!draggedTabId) {
+    const foreignTabId = event.dataTransfer ? event.dataTransfer.getData(TAB_DRAG_MIME) : '';
+    if (foreignTabId) {
+      window.figmuxTabs.attach(foreignTabId, rawTargetIndex);
+    }
+    clearDragState();
+    return;
+  }
+
+  const draggedIndex = indexOfTab(draggedTabId);
+  if (draggedIndex < 0) {
+    clearDragState();
+    return;
+  }
+
+  let nextIndex = rawTargetIndex;
+  if (rawTargetIndex > draggedIndex) {
+    nextIndex -= 1;
   }
+
+  window.figmuxTabs.move(draggedTabId, nextIndex);
+  clearDragState();
 }
 
 function updateDropIndicator(targetButton, clientX) {
@@ -124,7 +451,7 @@ function updateDropIndicator(targetButton, clientX) {
     }
   }
 
-  if (!targetButton || !draggedTabId || targetButton.dataset.tabId === draggedTabId) {
+  if (!targetButton || targetButton.dataset.tabId === draggedTabId) {
     return null;
   }
 
@@ -151,13 +478,25 @@ function createTabElement(tab) {
   const titleGroup = document.createElement('span');
   titleGroup.className = 'tab-title-group';
 
+  const profileMarker = document.createElement('span');
+  profileMarker.className = 'tab-profile-marker';
+  profileMarker.setAttribute('aria-hidden', 'true');
+
   const spinner = document.createElement('span');
   spinner.className = 'tab-spinner';
   spinner.setAttribute('aria-hidden', 'true');
 
+  const tabIcon = document.createElement('span');
+  tabIcon.className = 'tab-icon';
+  tabIcon.setAttribute('aria-hidden', 'true');
+
+  const pinnedGlyph = document.createElement('span');
+  pinnedGlyph.className = 'tab-pinned-glyph';
+  pinnedGlyph.setAttribute('aria-hidden', 'true');
+
   const title = document.createElement('span');
   title.className = 'tab-title';
-  titleGroup.append(spinner, title);
+  titleGroup.append(profileMarker, spinner, tabIcon, pinnedGlyph, title);
 
   const closeButton = document.createElement('button');
   closeButton.type = 'button';
@@ -188,16 +527,18 @@ function createTabElement(tab) {
     tabButton.classList.add('is-dragging');
     if (event.dataTransfer) {
       event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData(TAB_DRAG_MIME, draggedTabId);
       event.dataTransfer.setData('text/plain', draggedTabId);
     }
   });
 
   tabButton.addEventListener('dragover', (event) => {
-    if (!draggedTabId) {
+    if (!isTabDrag(event)) {
       return;
     }
 
     event.preventDefault();
+    event.stopPropagation();
     if (event.dataTransfer) {
       event.dataTransfer.dropEffect = 'move';
     }
@@ -205,59 +546,181 @@ function createTabElement(tab) {
   });
 
   tabButton.addEventListener('drop', (event) => {
-    if (!draggedTabId) {
+    if (!isTabDrag(event)) {
       return;
     }
 
     event.preventDefault();
-    const rawTargetIndex = updateDropIndicator(tabButton, event.clientX);
-    const draggedIndex = indexOfTab(draggedTabId);
-    if (rawTargetIndex === null || draggedIndex < 0) {
-      clearDragState();
+    event.stopPropagation();
+    dropDraggedTab(event, updateDropIndicator(tabButton, event.clientX));
+  });
+
+  tabButton.addEventListener('dragend', (event) => {
+    const tabId = draggedTabId;
+    clearDragState();
+
+    // Nothing accepted the drop: main tears the tab off if it landed outside every window.
+    if (tabId && event.dataTransfer && event.dataTransfer.dropEffect === 'none') {
+      window.figmuxTabs.detach(tabId, { x: event.screenX, y: event.screenY });
+    }
+  });
+
+  tabButton.append(titleGroup, closeButton);
+  return tabButton;
+}
+
+function createGroupElement(group) {
+  const groupChip = document.createElement('button');
+  groupChip.type = 'button';
+  groupChip.className = 'tab-group';
+  groupChip.dataset.groupId = group.id;
+
+  const label = document.createElement('span');
+  label.className = 'tab-group-label';
+  groupChip.append(label);
+
+  groupChip.addEventListener('click', (event) => {
+    if (event.button !== 0) {
       return;
     }
 
-    let nextIndex = rawTargetIndex;
-    if (rawTargetIndex > draggedIndex) {
-      nextIndex -= 1;
+    window.figmuxTabs.toggleGroupCollapsed(group.id);
+  });
+
+  groupChip.addEventListener('contextmenu', (event) => {
+    event.preventDefault();
+    event.stopPropagation();
+    window.figmuxTabs.showGroupContextMenu(group.id, event.clientX, event.clientY);
+  });
+
+  // Dropping a tab from this window onto the chip adds it to the end of the group.
+  groupChip.addEventListener('dragover', (event) => {
+    if (!draggedTabId) {
+      return;
     }
 
-    window.figmuxTabs.move(draggedTabId, nextIndex);
-    clearDragState();
+    event.preventDefault();
+    event.stopPropagation();
+    clearDropIndicators();
+    groupChip.classList.add('is-drop-target');
   });
 
-  tabButton.addEventListener('dragend', () => {
+  groupChip.addEventListener('drop', (event) => {
+    if (!draggedTabId) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    window.figmuxTabs.addToGroup(draggedTabId, group.id);
     clearDragState();
   });
 
-  tabButton.append(titleGroup, closeButton);
-  return tabButton;
+  return groupChip;
+}
+
+function updateGroupElement(groupChip, group, memberCount) {
+  const label = groupChip.querySelector('.tab-group-label');
+  const name = group.name && group.name.trim() ? group.name.trim() : '';
+
+  groupChip.style.setProperty('--group-color', group.colorValue);
+  groupChip.classList.toggle('is-collapsed', Boolean(group.isCollapsed));
+  groupChip.classList.toggle('is-unnamed', !name && !group.isCollapsed);
+  label.textContent = name || (group.isCollapsed ? String(memberCount) : '');
+  groupChip.title = `${name || 'Unnamed group'} (${memberCount} ${memberCount === 1 ? 'tab' : 'tabs'})`;
+  groupChip.setAttribute(
+    'aria-label',
+    `${group.isCollapsed ? 'Expand' : 'Collapse'} ${name || 'unnamed'} group`
+  );
+}
+
+// Prefers the page favicon and falls back to a document type icon when there is none or it fails to load.
+function updateTabIcon(tabButton, tab) {
+  const tabIcon = tabButton.querySelector('.tab-icon');
+  const favicon = tab.favicon && tab.favicon !== tabIcon.dataset.failedFavicon ? tab.favicon : '';
+  const iconKey = favicon || (tab.documentType ? `type:${tab.documentType}` : '');
+  tabButton.classList.toggle('has-icon', Boolean(iconKey));
+  if (tabIcon.dataset.iconKey === iconKey) {
+    return;
+  }
+
+  tabIcon.dataset.iconKey = iconKey;
+  tabIcon.textContent = '';
+  if (favicon) {
+    const image = document.createElement('img');
+    image.className = 'tab-favicon';
+    image.alt = '';
+    image.draggable = false;
+    image.addEventListener('error', () => {
+      tabIcon.dataset.failedFavicon = favicon;
+      updateTabIcon(tabButton, tab);
+    });
+    image.src = favicon;
+    tabIcon.append(image);
+  } else if (tab.documentType) {
+    tabIcon.append(createIconSpan(`doc-${tab.documentType}`));
+  }
 }
 
 function updateTabElement(tabButton, tab) {
   const titleText = safeTitle(tab);
   const title = tabButton.querySelector('.tab-title');
+  const pinnedGlyph = tabButton.querySelector('.tab-pinned-glyph');
   const closeButton = tabButton.querySelector('.tab-close');
 
+  const showProfileMarker = Boolean(state.showProfileMarkers && tab.profileColor);
+
   tabButton.dataset.tabId = tab.id;
-  tabButton.title = titleText;
+  tabButton.title = showProfileMarker && tab.profileName ? `${titleText} (${tab.profileName})` : titleText;
   tabButton.classList.toggle('active', Boolean(tab.isActive));
+  tabButton.classList.toggle('has-profile-marker', showProfileMarker);
+  tabButton.classList.toggle('is-pinned', Boolean(tab.isPinned));
+  if (showProfileMarker) {
+    tabButton.style.setProperty('--profile-color', tab.profileColor);
+  }
   tabButton.classList.toggle('is-loading', Boolean(tab.isLoading));
+  tabButton.classList.toggle('is-sleeping', Boolean(tab.isDiscarded));
+  tabButton.classList.toggle('is-crashed', Boolean(tab.crashState));
+  tabButton.classList.toggle('has-load-error', Boolean(tab.hasLoadError));
   tabButton.removeAttribute('data-removing');
 
   if (!closingTabIds.has(tab.id)) {
     tabButton.classList.remove('is-closing');
   }
 
+  updateTabIcon(tabButton, tab);
   title.textContent = titleText;
+  pinnedGlyph.textContent = titleText.trim().charAt(0).toUpperCase();
   closeButton.setAttribute('aria-label', `Close ${titleText}`);
 }
 
 function renderTabs() {
   const nextTabIds = new Set();
+  const nextGroupIds = new Set();
+  const groupsById = new Map((state.groups || []).map((group) => [group.id, group]));
+  let previousGroupId = null;
   let orderIndex = 0;
 
   for (const tab of state.tabs) {
+    const group = tab.groupId ? groupsById.get(tab.groupId) : null;
+    if (group && group.id !== previousGroupId) {
+      let groupChip = groupElements.get(group.id);
+      if (!groupChip) {
+        groupChip = createGroupElement(group);
+        groupElements.set(group.id, groupChip);
+      }
+
+      const memberCount = state.tabs.filter((entry) => entry.groupId === group.id).length;
+      updateGroupElement(groupChip, group, memberCount);
+      nextGroupIds.add(group.id);
+      const expectedChipNode = tabsRoot.children[orderIndex] || addTabButton;
+      if (expectedChipNode !== groupChip) {
+        tabsRoot.insertBefore(groupChip, expectedChipNode);
+      }
+      orderIndex += 1;
+    }
+    previousGroupId = group ? group.id : null;
+
     let tabButton = tabElements.get(tab.id);
     const isNew = !tabButton;
 
@@ -267,6 +730,12 @@ function renderTabs() {
     }
 
     updateTabElement(tabButton, tab);
+    tabButton.classList.toggle('is-grouped', Boolean(group));
+    tabButton.classList.toggle('is-split', Array.isArray(state.splitTabIds) && state.splitTabIds.includes(tab.id));
+    tabButton.classList.toggle('is-group-collapsed', Boolean(group && group.isCollapsed));
+    if (group) {
+      tabButton.style.setProperty('--group-color', group.colorValue);
+    }
     nextTabIds.add(tab.id);
     const expectedNode = tabsRoot.children[orderIndex] || addTabButton;
     if (expectedNode !== tabButton) {
@@ -286,6 +755,13 @@ function renderTabs() {
     tabsRoot.appendChild(addTabButton);
   }
 
+  for (const [groupId, groupChip] of groupElements.entries()) {
+    if (!nextGroupIds.has(groupId)) {
+      groupChip.remove();
+      groupElements.delete(groupId);
+    }
+  }
+
   for (const [tabId, tabButton] of tabElements.entries()) {
     if (nextTabIds.has(tabId) || tabButton.dataset.removing === 'true') {
       continue;
@@ -301,6 +777,425 @@ function renderTabs() {
   }
 
   hasRenderedInitialTabs = true;
+  updateTabWidths();
+  scrollActiveTabIntoView();
+}
+
+/**
+ * Shares the strip between the unpinned tabs, shrinking them down to TAB_MIN_WIDTH before the
+ * strip starts to scroll. Overflow is decided against the whole strip, chevrons included, so
+ * showing the chevrons cannot flip the decision back.
+ */
+function updateTabWidths() {
+  let fixedWidth = 0;
+  let flexibleTabCount = 0;
+  for (const element of tabsRoot.children) {
+    const isFlexibleTab =
+      element.classList.contains('tab') &&
+      !element.classList.contains('is-pinned') &&
+      !element.classList.contains('is-group-collapsed');
+    if (isFlexibleTab) {
+      flexibleTabCount += element.classList.contains('is-closing') ? 0 : 1;
+    } else if (!element.classList.contains('is-closing')) {
+      fixedWidth += element.offsetWidth;
+    }
+  }
+
+  const stripWidth = tabsStrip.clientWidth;
+  const fittedWidth = flexibleTabCount > 0 ? Math.floor((stripWidth - fixedWidth) / flexibleTabCount) : TAB_MAX_WIDTH;
+  const tabWidth = Math.max(TAB_MIN_WIDTH, Math.min(fittedWidth, TAB_MAX_WIDTH));
+  tabsRoot.style.setProperty('--tab-width', `${tabWidth}px`);
+
+  const isOverflowing = fixedWidth + flexibleTabCount * TAB_MIN_WIDTH > stripWidth;
+  tabsStrip.classList.toggle('is-overflowing', isOverflowing);
+  tabsScrollLeftButton.hidden = !isOverflowing;
+  tabsScrollRightButton.hidden = !isOverflowing;
+  updateTabScrollButtons();
+}
+
+function updateTabScrollButtons() {
+  const maxScrollLeft = tabsScroller.scrollWidth - tabsScroller.clientWidth;
+  tabsScrollLeftButton.disabled = tabsScroller.scrollLeft <= 0;
+  tabsScrollRightButton.disabled = tabsScroller.scrollLeft >= maxScrollLeft - 1;
+}
+
+function scrollActiveTabIntoView() {
+  const tabButton = tabElements.get(state.activeTabId);
+  if (!tabButton || state.activeTabId === scrolledActiveTabId) {
+    return;
+  }
+
+  scrolledActiveTabId = state.activeTabId;
+  // New tabs are still animating in, so measure them at the width they are growing to.
+  const tabWidth = tabButton.classList.contains('is-pinned')
+    ? tabButton.offsetWidth
+    : Math.max(tabButton.offsetWidth, parseFloat(tabsRoot.style.getPropertyValue('--tab-width')) || 0);
+  const visibleWidth = tabsScroller.clientWidth - (tabsStrip.classList.contains('is-overflowing') ? addTabButton.offsetWidth : 0);
+  const tabLeft = tabButton.offsetLeft;
+  const tabRight = tabLeft + tabWidth;
+
+  if (tabLeft < tabsScroller.scrollLeft) {
+    tabsScroller.scrollTo({ left: tabLeft, behavior: 'smooth' });
+  } else if (tabRight > tabsScroller.scrollLeft + visibleWidth) {
+    tabsScroller.scrollTo({ left: tabRight - visibleWidth, behavior: 'smooth' });
+  }
+}
+
+function scrollTabsBy(direction) {
+  tabsScroller.scrollBy({ left: direction * tabsScroller.clientWidth * TAB_SCROLL_STEP_RATIO, behavior: 'smooth' });
+}
+
+function updateNavigationControls() {
+  const activeTab = state.tabs.find((tab) => tab.id === state.activeTabId);
+  navControls.hidden = !state.showNavigationControls;
+  navBackButton.disabled = !activeTab || !activeTab.canGoBack;
+  navForwardButton.disabled = !activeTab || !activeTab.canGoForward;
+  navReloadButton.disabled = !activeTab;
+}
+
+function showFindBar() {
+  findBar.hidden = false;
+  findBarInput.focus();
+  findBarInput.select();
+  // Reopening keeps the last query, so highlight its matches again.
+  if (findBarInput.value) {
+    searchInPage({ findNext: true });
+  }
+}
+
+function hideFindBar() {
+  findBar.hidden = true;
+  findBarCount.textContent = '';
+}
+
+function searchInPage({ forward = true, findNext = false } = {}) {
+  window.appShell.find({
+    text: findBarInput.value,
+    forward,
+    findNext,
+    matchCase: isFindMatchCase
+  });
+}
+
+function showFindResult(result) {
+  if (!result || !findBarInput.value) {
+    findBarCount.textContent = '';
+    return;
+  }
+
+  findBarCount.textContent =
+    result.matches > 0 ? `${result.activeMatchOrdinal} of ${result.matches}` : 'No matches';
+  findBar.classList.toggle('has-no-matches', result.matches === 0);
+}
+
+function formatBytes(bytes) {
+  if (!bytes) {
+    return '0 B';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+  const value = bytes / 1024 ** exponent;
+  return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+}
+
+function describeDownload(download) {
+  if (download.state === 'progressing') {
+    const progress = download.totalBytes
+      ? `${formatBytes(download.receivedBytes)} of ${formatBytes(download.totalBytes)}`
+      : formatBytes(download.receivedBytes);
+    return download.isPaused ? `Paused · ${progress}` : progress;
+  }
+
+  if (download.state === 'completed') {
+    return download.fileExists ? formatBytes(download.totalBytes || download.receivedBytes) : 'Deleted';
+  }
+
+  return download.state === 'cancelled' ? 'Cancelled' : 'Failed';
+}
+
+function createDownloadAction(label, downloadId, action) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'downloads-action';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    window.appShell.runDownloadAction(downloadId, action);
+  });
+  return button;
+}
+
+function renderDownloads() {
+  const { progress, isIndeterminate, activeCount, downloads } = downloadsState;
+  downloadsButton.hidden = downloads.length === 0;
+  downloadsButton.classList.toggle('is-active', activeCount > 0);
+  downloadsButton.classList.toggle('is-indeterminate', isIndeterminate);
+  downloadsButton.style.setProperty('--download-progress', String(Math.max(0, progress)));
+  downloadsButton.title = activeCount > 0 ? `Downloads (${activeCount} in progress)` : 'Downloads';
+  downloadsClearButton.disabled = !downloads.some((download) => download.state !== 'progressing');
+
+  if (downloadsOverlay.hidden) {
+    return;
+  }
+
+  downloadsList.textContent = '';
+  if (downloads.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'downloads-empty';
+    empty.textContent = 'Exported files appear here';
+    downloadsList.append(empty);
+    return;
+  }
+
+  for (const download of downloads) {
+    const row = document.createElement('li');
+    row.className = `downloads-item is-${download.state}`;
+
+    const name = document.createElement('span');
+    name.className = 'downloads-item-name';
+    name.textContent = download.filename;
+    name.title = download.filename;
+
+    const status = document.createElement('span');
+    status.className = 'downloads-item-status';
+    status.textContent = describeDownload(download);
+    row.append(name, status);
+
+    if (download.state === 'progressing') {
+      const bar = document.createElement('progress');
+      bar.className = 'downloads-item-progress';
+      if (download.totalBytes) {
+        bar.max = download.totalBytes;
+        bar.value = download.receivedBytes;
+      }
+      row.append(bar);
+    }
+
+    const actions = document.createElement('span');
+    actions.className = 'downloads-item-actions';
+    if (download.state === 'progressing') {
+      actions.append(createDownloadAction('Cancel', download.id, 'cancel'));
+    } else if (download.state === 'completed' && download.fileExists) {
+      actions.append(
+        createDownloadAction('Open', download.id, 'open'),
+        createDownloadAction('Show in folder', download.id, 'show')
+      );
+    } else {
+      if (download.canRetry) {
+        actions.append(createDownloadAction('Retry', download.id, 'retry'));
+      }
+      actions.append(createDownloadAction('Remove', download.id, 'remove'));
+    }
+    row.append(actions);
+    downloadsList.append(row);
+  }
+}
+
+function showDownloadsPanel(panel) {
+  closePrompt(null);
+  setOverlayBackdrop(panel ? panel.backdrop : null);
+  downloadsOverlay.hidden = false;
+  renderDownloads();
+  downloadsOverlay.focus();
+}
+
+function hideDownloadsPanel() {
+  if (downloadsOverlay.hidden) {
+    return;
+  }
+
+  downloadsOverlay.hidden = true;
+  setOverlayBackdrop(null);
+}
+
+function closeDownloadsPanel() {
+  if (downloadsOverlay.hidden) {
+    return;
+  }
+
+  hideDownloadsPanel();
+  window.appShell.closeDownloadsPanel();
+}
+
+function setSelectOptions(select, options, value) {
+  select.textContent = '';
+  for (const { id, label } of options) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = label;
+    select.append(option);
+  }
+  select.value = value;
+}
+
+function showPdfExport({ backdrop, pageSizes, margins, options }) {
+  closePrompt(null);
+  setOverlayBackdrop(backdrop);
+  setSelectOptions(
+    pdfExportPageSize,
+    pageSizes.map((pageSize) => ({ id: pageSize, label: pageSize })),
+    options.pageSize
+  );
+  setSelectOptions(pdfExportMargins, margins, options.margins);
+  pdfExportOrientation.value = options.landscape ? 'landscape' : 'portrait';
+  pdfExportBackground.checked = options.printBackground;
+  pdfExportOverlay.hidden = false;
+  pdfExportPageSize.focus();
+}
+
+function hidePdfExport() {
+  if (pdfExportOverlay.hidden) {
+    return;
+  }
+
+  pdfExportOverlay.hidden = true;
+  setOverlayBackdrop(null);
+}
+
+function closePdfExport() {
+  if (pdfExportOverlay.hidden) {
+    return;
+  }
+
+  hidePdfExport();
+  window.appShell.closePdfExport();
+}
+
+function setScreenshotRect(rect) {
+  screenshotRect = rect;
+  screenshotMarquee.hidden = !rect;
+  if (rect) {
+    screenshotMarquee.style.left = `${rect.x}px`;
+    screenshotMarquee.style.top = `${rect.y}px`;
+    screenshotMarquee.style.width = `${rect.width}px`;
+    screenshotMarquee.style.height = `${rect.height}px`;
+  }
+
+  screenshotHint.textContent = rect
+    ? `${Math.round(rect.width)} × ${Math.round(rect.height)}`
+    : 'Drag to select an area, or capture the whole tab';
+}
+
+function showScreenshotOverlay({ image, bounds }) {
+  closePrompt(null);
+  screenshotImage.src = image;
+  screenshotFrame.style.left = `${bounds.x}px`;
+  screenshotFrame.style.top = `${bounds.y}px`;
+  screenshotFrame.style.width = `${bounds.width}px`;
+  screenshotFrame.style.height = `${bounds.height}px`;
+  screenshotDragStart = null;
+  setScreenshotRect(null);
+  screenshotOverlay.hidden = false;
+  screenshotOverlay.focus();
+}
+
+function hideScreenshotOverlay() {
+  if (screenshotOverlay.hidden) {
+    return;
+  }
+
+  screenshotOverlay.hidden = true;
+  screenshotImage.removeAttribute('src');
+  screenshotDragStart = null;
+}
+
+function closeScreenshotOverlay() {
+  if (screenshotOverlay.hidden) {
+    return;
+  }
+
+  hideScreenshotOverlay();
+  window.appShell.closeScreenshot();
+}
+
+function finishScreenshot(destination) {
+  if (screenshotOverlay.hidden) {
+    return;
+  }
+
+  const rect = screenshotRect;
+  hideScreenshotOverlay();
+  window.appShell.finishScreenshot(rect, destination);
+}
+
+function getScreenshotPoint(event) {
+  const frameRect = screenshotFrame.getBoundingClientRect();
+  return {
+    x: Math.min(Math.max(0, event.clientX - frameRect.left), frameRect.width),
+    y: Math.min(Math.max(0, event.clientY - frameRect.top), frameRect.height)
+  };
+}
+
+function isFileDrag(event) {
+  return Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types).includes('Files');
+}
+
+function hideDropOverlay() {
+  if (dropOverlay.hidden) {
+    return;
+  }
+
+  dropOverlay.hidden = true;
+  setOverlayBackdrop(null);
+}
+
+/** A chip the user drags into Figma; main starts a native drag carrying the real files. */
+function createImportFileChip(label, filePaths, { iconName = null, isAll = false } = {}) {
+  const chip = document.createElement('div');
+  chip.className = isAll ? 'import-file is-all' : 'import-file';
+  chip.draggable = true;
+  chip.title = isAll ? 'Drag all files into Figma' : filePaths[0];
+  if (iconName) {
+    chip.append(createIconSpan(iconName));
+  }
+
+  const name = document.createElement('span');
+  name.className = 'import-file-name';
+  name.textContent = label;
+  chip.append(name);
+  chip.addEventListener('dragstart', (event) => {
+    event.preventDefault();
+    isDraggingImportFiles = true;
+    window.appShell.startFileDrag(filePaths);
+  });
+
+  if (!isAll) {
+    const dismissButton = document.createElement('button');
+    dismissButton.type = 'button';
+    dismissButton.className = 'find-bar-button';
+    dismissButton.setAttribute('aria-label', `Remove ${label}`);
+    dismissButton.title = 'Remove';
+    dismissButton.append(createIconSpan('close'));
+    dismissButton.addEventListener('click', () => {
+      window.appShell.dismissImportFiles(filePaths);
+    });
+    chip.append(dismissButton);
+  }
+
+  return chip;
+}
+
+function renderImportBar(files) {
+  importBarFiles.replaceChildren();
+  importBar.hidden = !Array.isArray(files) || files.length === 0;
+  if (importBar.hidden) {
+    return;
+  }
+
+  if (files.length > 1) {
+    importBarFiles.append(
+      createImportFileChip(
+        `All ${files.length} files`,
+        files.map((file) => file.path),
+        { isAll: true }
+      )
+    );
+  }
+
+  for (const file of files) {
+    const iconName = file.extension === '.jam' ? 'doc-board' : file.kind === 'import' ? 'doc-design' : null;
+    importBarFiles.append(createImportFileChip(file.name, [file.path], { iconName }));
+  }
 }
 
 function applyLayout(layout) {
@@ -322,6 +1217,125 @@ function applyLayout(layout) {
   }
 }
 
+function showTabContextMenuFromKeyboard() {
+  const focusedTab = document.activeElement ? document.activeElement.closest('.tab') : null;
+  const tabId = focusedTab ? focusedTab.dataset.tabId : state.activeTabId;
+  const tabButton = tabElements.get(tabId);
+  if (!tabButton) {
+    return;
+  }
+
+  const rect = tabButton.getBoundingClientRect();
+  window.figmuxTabs.showContextMenu(tabId, rect.left, rect.bottom);
+}
+
+function createCrashPanelButton(label, onClick, isPrimary = false) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = isPrimary ? 'crash-panel-button is-primary' : 'crash-panel-button';
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Crashed or hung tabs have their view hidden by the main process; the panel takes its place.
+function renderCrashPanels() {
+  crashPanels.textContent = '';
+  const tabsById = new Map(state.tabs.map((tab) => [tab.id, tab]));
+
+  for (const pane of viewPanes) {
+    const tab = tabsById.get(pane.tabId);
+    if (!tab || !tab.crashState || !pane.bounds) {
+      continue;
+    }
+
+    const isUnresponsive = tab.crashState === 'unresponsive';
+    const panel = document.createElement('section');
+    panel.className = 'crash-panel';
+    panel.style.left = `${pane.bounds.x}px`;
+    panel.style.top = `${pane.bounds.y}px`;
+    panel.style.width = `${pane.bounds.width}px`;
+    panel.style.height = `${pane.bounds.height}px`;
+
+    const card = document.createElement('div');
+    card.className = 'crash-panel-card';
+
+    const title = document.createElement('div');
+    title.className = 'crash-panel-title';
+    title.textContent = isUnresponsive ? `${safeTitle(tab)} isn't responding` : `${safeTitle(tab)} crashed`;
+
+    const message = document.createElement('div');
+    message.className = 'crash-panel-message';
+    message.textContent = isUnresponsive
+      ? 'You can wait for the page to recover, or reload it. Changes that have not synced yet may be lost.'
+      : `The page stopped unexpectedly (${tab.crashReason || 'unknown reason'}). Reload it to continue.`;
+
+    const actions = document.createElement('div');
+    actions.className = 'crash-panel-actions';
+    if (isUnresponsive) {
+      actions.append(
+        createCrashPanelButton('Wait', () => {
+          window.figmuxTabs.dismissUnresponsive(tab.id);
+        })
+      );
+    }
+    actions.append(
+      createCrashPanelButton('Close', () => {
+        requestCloseTab(tab.id);
+      }),
+      createCrashPanelButton(
+        'Reload',
+        () => {
+          window.figmuxTabs.reload(tab.id);
+        },
+        true
+      )
+    );
+
+    card.append(title, message, actions);
+    panel.append(card);
+    crashPanels.append(panel);
+  }
+}
+
+function applySplitLayout(layout) {
+  splitLayout = layout && layout.divider && layout.contentBounds ? layout : null;
+  splitDivider.hidden = !splitLayout;
+  if (!splitLayout) {
+    return;
+  }
+
+  const { divider } = splitLayout;
+  splitDivider.classList.toggle('is-stacked', Boolean(splitLayout.isStacked));
+  splitDivider.setAttribute('aria-orientation', splitLayout.isStacked ? 'horizontal' : 'vertical');
+  splitDivider.style.left = `${divider.x}px`;
+  splitDivider.style.top = `${divider.y}px`;
+  splitDivider.style.width = `${divider.width}px`;
+  splitDivider.style.height = `${divider.height}px`;
+}
+
+function queueSplitResize(event) {
+  if (!splitLayout) {
+    return;
+  }
+
+  const { contentBounds, isStacked } = splitLayout;
+  const offset = isStacked ? event.clientY - contentBounds.y : event.clientX - contentBounds.x;
+  const length = isStacked ? contentBounds.height : contentBounds.width;
+  if (length <= 0) {
+    return;
+  }
+
+  const shouldSchedule = pendingSplitRatio === null;
+  pendingSplitRatio = offset / length;
+  if (shouldSchedule) {
+    requestAnimationFrame(() => {
+      window.figmuxTabs.resizeSplit(pendingSplitRatio);
+      pendingSplitRatio = null;
+    });
+  }
+}
+
 function applyWindowState(windowState) {
   if (
     !windowState ||
@@ -342,11 +1356,394 @@ function applyWindowState(windowState) {
 }
 
 addTabButton.append(createIconSpan('plus'));
+findBarPreviousButton.append(createIconSpan('chevron-up'));
+findBarNextButton.append(createIconSpan('chevron-down'));
+findBarCloseButton.append(createIconSpan('close'));
+importBarCloseButton.append(createIconSpan('close'));
+navBackButton.append(createIconSpan('chevron-left'));
+navForwardButton.append(createIconSpan('chevron-right'));
+navReloadButton.append(createIconSpan('reload'));
+tabsScrollLeftButton.append(createIconSpan('chevron-left'));
+tabsScrollRightButton.append(createIconSpan('chevron-right'));
+allTabsButton.append(createIconSpan('chevron-down'));
+
+new ResizeObserver(() => {
+  updateTabWidths();
+}).observe(tabsStrip);
+
+tabsScroller.addEventListener('scroll', () => {
+  updateTabScrollButtons();
+});
+
+tabsScroller.addEventListener(
+  'wheel',
+  (event) => {
+    // Mouse wheels only scroll vertically; map that onto the horizontal strip.
+    if (Math.abs(event.deltaY) <= Math.abs(event.deltaX)) {
+      return;
+    }
+
+    event.preventDefault();
+    tabsScroller.scrollLeft += event.deltaY;
+  },
+  { passive: false }
+);
+
+tabsScrollLeftButton.addEventListener('click', () => {
+  scrollTabsBy(-1);
+});
+
+tabsScrollRightButton.addEventListener('click', () => {
+  scrollTabsBy(1);
+});
+
+allTabsButton.addEventListener('click', () => {
+  window.figmuxTabs.showAllTabs();
+});
+
+tabsScroller.addEventListener('dragover', (event) => {
+  if (!isTabDrag(event)) {
+    return;
+  }
+
+  event.preventDefault();
+  if (event.dataTransfer) {
+    event.dataTransfer.dropEffect = 'move';
+  }
+  clearDropIndicators();
+});
+
+tabsScroller.addEventListener('dragleave', (event) => {
+  if (!tabsScroller.contains(event.relatedTarget)) {
+    clearDropIndicators();
+  }
+});
+
+tabsScroller.addEventListener('drop', (event) => {
+  if (!isTabDrag(event)) {
+    return;
+  }
+
+  event.preventDefault();
+  dropDraggedTab(event, state.tabs.length);
+});
+
+tabsScroller.addEventListener('contextmenu', (event) => {
+  if (event.target !== tabsScroller && event.target !== tabsRoot) {
+    return;
+  }
+
+  event.preventDefault();
+  window.figmuxTabs.showNewTabMenu(event.clientX, event.clientY);
+});
 
 addTabButton.addEventListener('click', () => {
   window.figmuxTabs.create();
 });
 
+addTabButton.addEventListener('contextmenu', (event) => {
+  event.preventDefault();
+  window.figmuxTabs.showNewTabMenu(event.clientX, event.clientY);
+});
+
+titlebarPrompt.addEventListener('submit', (event) => {
+  event.preventDefault();
+  closePrompt(titlebarPromptInput.value);
+});
+
+titlebarPromptCancel.addEventListener('click', () => {
+  closePrompt(null);
+});
+
+titlebarPromptAlternate.addEventListener('click', () => {
+  closePrompt(titlebarPromptInput.value, true);
+});
+
+titlebarPromptInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closePrompt(null);
+  } else if (event.key === 'Enter' && event.altKey && !titlebarPromptAlternate.hidden) {
+    event.preventDefault();
+    closePrompt(titlebarPromptInput.value, true);
+  }
+});
+
+findBarInput.addEventListener('input', () => {
+  findBar.classList.remove('has-no-matches');
+  searchInPage({ findNext: true });
+});
+
+findBarInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    window.appShell.closeFind();
+  } else if (event.key === 'Enter' && event.shiftKey) {
+    event.preventDefault();
+    searchInPage({ forward: false });
+  }
+});
+
+findBar.addEventListener('submit', (event) => {
+  event.preventDefault();
+  searchInPage();
+});
+
+findBarPreviousButton.addEventListener('click', () => {
+  searchInPage({ forward: false });
+});
+
+findBarCaseButton.addEventListener('click', () => {
+  isFindMatchCase = !isFindMatchCase;
+  findBarCaseButton.setAttribute('aria-pressed', String(isFindMatchCase));
+  findBarCaseButton.classList.toggle('is-active', isFindMatchCase);
+  searchInPage({ findNext: true });
+  findBarInput.focus();
+});
+
+findBarCloseButton.addEventListener('click', () => {
+  window.appShell.closeFind();
+});
+
+pdfExportForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  const options = {
+    pageSize: pdfExportPageSize.value,
+    landscape: pdfExportOrientation.value === 'landscape',
+    margins: pdfExportMargins.value,
+    printBackground: pdfExportBackground.checked
+  };
+  hidePdfExport();
+  window.appShell.exportPdf(options);
+});
+
+pdfExportCancelButton.addEventListener('click', () => {
+  closePdfExport();
+});
+
+pdfExportOverlay.addEventListener('mousedown', (event) => {
+  if (event.target === pdfExportOverlay) {
+    event.preventDefault();
+    closePdfExport();
+  }
+});
+
+pdfExportOverlay.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closePdfExport();
+  }
+});
+
+screenshotFrame.addEventListener('pointerdown', (event) => {
+  if (event.button !== 0) {
+    return;
+  }
+
+  event.preventDefault();
+  screenshotFrame.setPointerCapture(event.pointerId);
+  screenshotDragStart = getScreenshotPoint(event);
+  setScreenshotRect(null);
+});
+
+screenshotFrame.addEventListener('pointermove', (event) => {
+  if (!screenshotDragStart) {
+    return;
+  }
+
+  const point = getScreenshotPoint(event);
+  const rect = {
+    x: Math.min(screenshotDragStart.x, point.x),
+    y: Math.min(screenshotDragStart.y, point.y),
+    width: Math.abs(point.x - screenshotDragStart.x),
+    height: Math.abs(point.y - screenshotDragStart.y)
+  };
+  // A click without a real drag keeps capturing the whole tab.
+  setScreenshotRect(rect.width >= 4 && rect.height >= 4 ? rect : null);
+});
+
+screenshotFrame.addEventListener('pointerup', () => {
+  screenshotDragStart = null;
+});
+
+screenshotOverlay.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeScreenshotOverlay();
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    finishScreenshot('clipboard');
+  } else if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 's') {
+    event.preventDefault();
+    finishScreenshot('file');
+  }
+});
+
+screenshotCopyButton.addEventListener('click', () => {
+  finishScreenshot('clipboard');
+});
+
+screenshotSaveButton.addEventListener('click', () => {
+  finishScreenshot('file');
+});
+
+screenshotCancelButton.addEventListener('click', () => {
+  closeScreenshotOverlay();
+});
+
+// Files dragged over the titlebar hide the tab views, so the whole window becomes a drop target.
+window.addEventListener('dragenter', (event) => {
+  if (!isFileDrag(event)) {
+    return;
+  }
+
+  event.preventDefault();
+  fileDragDepth += 1;
+  if (fileDragDepth === 1 && !isDraggingImportFiles) {
+    window.appShell.beginFileDrag();
+  }
+});
+
+window.addEventListener('dragover', (event) => {
+  if (!isFileDrag(event)) {
+    return;
+  }
+
+  event.preventDefault();
+  event.dataTransfer.dropEffect = isDraggingImportFiles ? 'none' : 'copy';
+});
+
+window.addEventListener('dragleave', (event) => {
+  if (!isFileDrag(event)) {
+    return;
+  }
+
+  fileDragDepth = Math.max(0, fileDragDepth - 1);
+  if (fileDragDepth === 0 && !isDraggingImportFiles) {
+    hideDropOverlay();
+    window.appShell.cancelFileDrag();
+  }
+});
+
+window.addEventListener('drop', (event) => {
+  if (!isFileDrag(event)) {
+    return;
+  }
+
+  event.preventDefault();
+  fileDragDepth = 0;
+  hideDropOverlay();
+  if (!isDraggingImportFiles) {
+    window.appShell.dropFiles(event.dataTransfer.files);
+  }
+});
+
+// The native drag started from the import bar reports no end to the page; the pointer moving
+// again means it is over.
+window.addEventListener('pointermove', () => {
+  isDraggingImportFiles = false;
+});
+
+importBarCloseButton.addEventListener('click', () => {
+  window.appShell.dismissImportFiles(null);
+});
+
+downloadsButton.append(createIconSpan('download'));
+
+downloadsButton.addEventListener('click', () => {
+  window.appShell.toggleDownloadsPanel();
+});
+
+downloadsClearButton.addEventListener('click', () => {
+  window.appShell.runDownloadAction(null, 'clear');
+});
+
+downloadsOverlay.addEventListener('mousedown', (event) => {
+  if (event.target === downloadsOverlay) {
+    event.preventDefault();
+    closeDownloadsPanel();
+  }
+});
+
+downloadsOverlay.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closeDownloadsPanel();
+  }
+});
+
+navBackButton.addEventListener('click', () => {
+  window.figmuxTabs.navigateHistory(state.activeTabId, -1);
+});
+
+navForwardButton.addEventListener('click', () => {
+  window.figmuxTabs.navigateHistory(state.activeTabId, 1);
+});
+
+navReloadButton.addEventListener('click', () => {
+  window.figmuxTabs.reload(state.activeTabId);
+});
+
+commandPaletteInput.addEventListener('input', () => {
+  paletteSelectedIndex = 0;
+  renderPaletteResults();
+});
+
+commandPaletteInput.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closePalette();
+  } else if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (paletteMatches.length > 0) {
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      paletteSelectedIndex = (paletteSelectedIndex + step + paletteMatches.length) % paletteMatches.length;
+      renderPaletteResults();
+    }
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    runPaletteItem(paletteMatches[paletteSelectedIndex]);
+  }
+});
+
+commandPalette.addEventListener('mousedown', (event) => {
+  if (event.target === commandPalette) {
+    event.preventDefault();
+    closePalette();
+  }
+});
+
+window.addEventListener('blur', () => {
+  closePalette();
+  closeDownloadsPanel();
+  closeScreenshotOverlay();
+});
+
+splitDivider.addEventListener('pointerdown', (event) => {
+  if (event.button !== 0) {
+    return;
+  }
+
+  event.preventDefault();
+  splitDivider.setPointerCapture(event.pointerId);
+  splitDivider.classList.add('is-dragging');
+});
+
+splitDivider.addEventListener('pointermove', (event) => {
+  if (splitDivider.hasPointerCapture(event.pointerId)) {
+    queueSplitResize(event);
+  }
+});
+
+splitDivider.addEventListener('pointerup', (event) => {
+  splitDivider.releasePointerCapture(event.pointerId);
+  splitDivider.classList.remove('is-dragging');
+});
+
+splitDivider.addEventListener('dblclick', () => {
+  window.figmuxTabs.resizeSplit(0.5);
+});
+
 windowMinimizeButton.addEventListener('click', () => {
   window.windowControls.minimize();
 });
@@ -362,6 +1759,8 @@ windowCloseButton.addEventListener('click', () => {
 window.figmuxTabs.onStateChanged((nextState) => {
   state = nextState;
   renderTabs();
+  renderCrashPanels();
+  updateNavigationControls();
 });
 
 window.figmuxTabs.onWillClose((tabId) => {
@@ -372,6 +1771,16 @@ window.figmuxTabs.onLayout((layout) => {
   applyLayout(layout);
 });
 
+window.figmuxTabs.onContextMenuRequested(() => {
+  showTabContextMenuFromKeyboard();
+});
+
+window.figmuxTabs.onViewLayout((layout) => {
+  viewPanes = layout && Array.isArray(layout.panes) ? layout.panes : [];
+  applySplitLayout(layout ? layout.split : null);
+  renderCrashPanels();
+});
+
 window.windowControls.onStateChanged((windowState) => {
   applyWindowState(windowState);
 });
@@ -380,7 +1789,76 @@ window.appShell.onToast((toast) => {
   showToast(toast);
 });
 
+window.appShell.onPrompt((prompt) => {
+  showPrompt(prompt);
+});
+
+window.appShell.onNetworkState((networkState) => {
+  offlineIndicator.hidden = !networkState || networkState.isOnline !== false;
+});
+
+window.appShell.onFindOpen(() => {
+  showFindBar();
+});
+
+window.appShell.onFindClose(() => {
+  hideFindBar();
+});
+
+window.appShell.onFindResult((result) => {
+  showFindResult(result);
+});
+
+window.appShell.onOverlayClosed(() => {
+  hidePalette();
+  hideDownloadsPanel();
+  hideDropOverlay();
+  hideScreenshotOverlay();
+  hidePdfExport();
+});
+
+window.appShell.onPdfExportOpen((pdfExport) => {
+  showPdfExport(pdfExport);
+});
+
+window.appShell.onScreenshotSelectOpen((screenshot) => {
+  showScreenshotOverlay(screenshot);
+});
+
+window.appShell.onImportBar((files) => {
+  renderImportBar(files);
+});
+
+window.appShell.onFileDropTargetOpen((dropTarget) => {
+  // The drag may have left the window while the tab views were being hidden.
+  if (fileDragDepth === 0) {
+    window.appShell.cancelFileDrag();
+    return;
+  }
+
+  setOverlayBackdrop(dropTarget ? dropTarget.backdrop : null);
+  dropOverlay.hidden = false;
+});
+
+window.appShell.onDownloadsState((nextDownloadsState) => {
+  downloadsState = nextDownloadsState;
+  renderDownloads();
+});
+
+window.appShell.onDownloadsPanelOpen((panel) => {
+  showDownloadsPanel(panel);
+});
+
+window.appShell.onPaletteOpen((palette) => {
+  showPalette(palette);
+});
+
+window.appShell.onPaletteClose(() => {
+  hidePalette();
+});
+
 window.figmuxTabs.list().then((initialState) => {
   state = initialState;
   renderTabs();
+  updateNavigationControls();
 });